@@ -1,4 +1,6 @@
 const { defineConfig } = require('cypress')
+const { addYearPositionFields } = require('./scripts/add-position-fields')
+const { parseRecordEligibility } = require('./scripts/record-eligibility')
 
 module.exports = defineConfig({
   e2e: {
@@ -9,5 +11,15 @@ module.exports = defineConfig({
     viewportHeight: 720,
     video: false,
     screenshotOnRunFailure: true,
+    setupNodeEvents(on) {
+      on('task', {
+        // Run the position and award step of the data pipeline on a year's
+        // results, with a record-eligibility.json style config
+        addPositionFields({ results, year, eligibility }) {
+          addYearPositionFields(results, year, parseRecordEligibility(eligibility))
+          return results
+        }
+      })
+    },
   },
 })
@@ -0,0 +1,51 @@
+describe('Club Stats Page - Smoke Tests', () => {
+  beforeEach(() => {
+    cy.visit('/club-stats.html?club=omagh-harriers')
+    cy.get('h2.section-title', { timeout: 10000 }).should('be.visible')
+  })
+
+  it('should load the club stats page successfully', () => {
+    cy.get('h2.section-title').should('contain', 'Omagh Harriers')
+  })
+
+  it('should display club statistics section', () => {
+    cy.contains('Club Statistics').should('be.visible')
+    cy.contains('Runners').should('be.visible')
+    cy.contains('Finishes').should('be.visible')
+    cy.contains('Years Active').should('be.visible')
+  })
+
+  it('should display finishers per year chart', () => {
+    cy.contains('Finishers Per Year').should('be.visible')
+    cy.get('#finishersChart').should('exist')
+  })
+
+  it('should display club records and category bests', () => {
+    cy.contains('Club Records').should('be.visible')
+    cy.contains('Fastest Male').should('be.visible')
+    cy.get('.club-records tbody tr').should('have.length.at.least', 1)
+  })
+
+  it('should list and search the club runners', () => {
+    cy.get('.club-runners tbody tr').should('have.length.at.least', 10)
+    cy.get('.club-runners input.search-input').type('mullan')
+    cy.get('.club-runners tbody tr').first().should('contain', 'Mullan')
+  })
+
+  it('should show a not found message for an unknown club', () => {
+    cy.visit('/club-stats.html?club=no-such-club')
+    cy.contains('Club Not Found', { timeout: 10000 }).should('be.visible')
+  })
+
+  it('should redirect an alias spelling to the canonical club', () => {
+    cy.visit('/club-stats.html?club=omagh-triathlon-club')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Omagh Tri Club')
+    cy.location('search').should('eq', '?club=omagh-tri-club')
+  })
+
+  it('should be linked from club names in the results table', () => {
+    cy.visit('/results.html?year=2024&search=Omagh Harriers')
+    cy.get('tbody tr td.club-column a.club-link', { timeout: 10000 }).first()
+      .should('have.attr', 'href', 'club-stats.html?club=omagh-harriers')
+  })
+})
@@ -0,0 +1,60 @@
+describe('Compare Runners Page - Smoke Tests', () => {
+  beforeEach(() => {
+    cy.visit('/compare.html?runners=peter-skeffington,lorcan-healy')
+    cy.get('h2.section-title', { timeout: 10000 }).should('be.visible')
+  })
+
+  it('should list the runners being compared', () => {
+    cy.get('.compare-runner').should('have.length', 2)
+    cy.get('.compare-runner').first().should('contain', 'Peter Skeffington')
+  })
+
+  it('should show the head-to-head record', () => {
+    cy.contains('Head to Head').should('be.visible')
+    cy.get('.head-to-head .stat-item').should('have.length', 1)
+      .and('contain', 'Peter Skeffington v Lorcan Healy')
+      .and('contain', 'races together')
+  })
+
+  it('should display the finish times chart', () => {
+    cy.contains('Finish Times').should('be.visible')
+    cy.get('#compareChart').should('exist')
+  })
+
+  it('should show who won each year both ran', () => {
+    cy.get('.compare-table tbody tr').should('have.length.at.least', 1)
+    cy.get('.compare-table tbody tr').first().find('td[data-label="Winner"]').should('contain', ' by ')
+    cy.get('.compare-table tbody tr').first().find('td.compare-winner').should('have.length', 1)
+  })
+
+  it('should leave walk entries out of the comparison', () => {
+    // Lorcan Healy's 2014 result as a walk: 4 races together instead of 5
+    cy.intercept('GET', '**/runner-stats/lorcan-healy.json', req => {
+      req.continue(res => {
+        res.body.results.find(r => r.year === 2014).division = 'walk'
+      })
+    })
+    cy.visit('/compare.html?runners=peter-skeffington,lorcan-healy')
+
+    cy.get('.head-to-head .stat-item', { timeout: 10000 }).should('contain', '4 races together')
+    cy.get('.compare-table tbody tr').should('have.length', 4)
+    cy.get('.compare-table td[data-label="Year"]').should('not.contain', '2014')
+  })
+
+  it('should ask for two runners when only one is given', () => {
+    cy.clearLocalStorage()
+    cy.visit('/compare.html?runners=peter-skeffington')
+    cy.contains('Choose at least two runners to compare', { timeout: 10000 }).should('be.visible')
+  })
+
+  it('should build a comparison from runner search', () => {
+    cy.clearLocalStorage()
+    cy.visit('/runner-search.html')
+    cy.get('input.search-input').type('Skeffington')
+    cy.get('tbody tr').first().find('.compare-toggle').click()
+    cy.get('input.search-input').clear().type('Lorcan Healy')
+    cy.get('tbody tr').first().find('.compare-toggle').click()
+    cy.get('.compare-bar a.btn').should('have.attr', 'href', 'compare.html?runners=peter-skeffington,lorcan-healy').click()
+    cy.get('.compare-runner', { timeout: 10000 }).should('have.length', 2)
+  })
+})
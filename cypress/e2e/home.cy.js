@@ -29,6 +29,38 @@ describe('Home Page - Smoke Tests', () => {
     cy.get('a.btn').should('have.attr', 'href').and('include', 'njuko.com')
   })
 
+  it('should take the results banner year from the results manifest', () => {
+    cy.intercept('GET', '**/results/index.json', req => {
+      req.continue(res => {
+        res.body.latest_year = 2031
+      })
+    })
+    cy.visit('/')
+
+    cy.contains('The 2031 results are now available!').should('be.visible')
+    cy.contains('a.btn', 'View 2031 Results').should('have.attr', 'href', 'results.html?year=2031')
+    cy.contains('Lough 5, 2031!').should('be.visible')
+    cy.contains('See you again in 2032').should('be.visible')
+  })
+
+  it('should show the entry closed notice until the upcoming race has results', () => {
+    cy.intercept('GET', '**/results/editions.json', req => {
+      req.continue(res => {
+        res.body.editions.push({ year: 2031, date: '2031-12-31' })
+      })
+    })
+    cy.intercept('GET', '**/results/index.json', req => {
+      req.continue(res => {
+        res.body.latest_year = 2030
+      })
+    })
+    cy.visit('/')
+
+    cy.contains('Online entry for the Lough 5, 2031 is now closed.').should('be.visible')
+    cy.contains('Results will be posted here after the race!').should('be.visible')
+    cy.contains('results are now available').should('not.be.visible')
+  })
+
   it('should display race information section', () => {
     cy.contains('About the Race').should('be.visible')
     cy.contains('5 Mile Race').should('be.visible')
@@ -0,0 +1,24 @@
+// Pipeline checks for scripts/add-position-fields.js, run through the
+// addPositionFields task in cypress.config.js (no page is visited)
+describe('Position and Award Fields', () => {
+  it('should pass medals down when a podium result is excluded', () => {
+    const results = [
+      { Name: 'A', runner_id: 'a', Category: 'M40', 'Chip Time': '00:25:00' },
+      { Name: 'B', runner_id: 'b', Category: 'M40', 'Chip Time': '00:25:30' },
+      { Name: 'C', runner_id: 'c', Category: 'M40', 'Chip Time': '00:26:00' },
+      { Name: 'D', runner_id: 'd', Category: 'M40', 'Chip Time': '00:27:00' }
+    ]
+    const eligibility = { excluded_results: [{ year: 2023, runner_id: 'b', reason: 'Course cut' }] }
+
+    cy.task('addPositionFields', { results, year: 2023, eligibility }).then(placed => {
+      // The excluded runner keeps 2nd place but gets no medal; 3rd and 4th move up the podium
+      expect(placed.map(r => r.gender_position)).to.deep.equal([1, 2, 3, 4])
+      expect(placed.map(r => r.awards)).to.deep.equal([
+        ['🥇 Male', '🥇 M40'],
+        [],
+        ['🥈 Male', '🥈 M40'],
+        ['🥉 Male', '🥉 M40']
+      ])
+    })
+  })
+})
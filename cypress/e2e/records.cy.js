@@ -14,13 +14,23 @@ describe('Records Page - Smoke Tests', () => {
 
   it('should display category dropdown with all categories', () => {
     cy.get('select.records-dropdown').should('be.visible')
-    cy.get('select.records-dropdown option').should('have.length', 4)
+    cy.get('select.records-dropdown').first().find('option').should('have.length', 14)
 
     // Check for all categories
     cy.get('select.records-dropdown option[value="Fastest 50 Male"]').should('exist')
     cy.get('select.records-dropdown option[value="Fastest 50 Female"]').should('exist')
+    cy.get('select.records-dropdown option[value="Fastest 50 Non-binary"]').should('exist')
+    cy.get('select.records-dropdown option[value="Fastest Lap Male"]').should('exist')
+    cy.get('select.records-dropdown option[value="Fastest Lap Female"]').should('exist')
+    cy.get('select.records-dropdown option[value="Fastest Lap Non-binary"]').should('exist')
     cy.get('select.records-dropdown option[value="Masters Men"]').should('exist')
     cy.get('select.records-dropdown option[value="Masters Women"]').should('exist')
+    cy.get('select.records-dropdown option[value="Masters Non-binary"]').should('exist')
+    cy.get('select.records-dropdown option[value="Junior & Open"]').should('exist')
+    cy.get('select.records-dropdown option[value="Age Graded"]').should('exist')
+    cy.get('select.records-dropdown option[value="Most Appearances"]').should('exist')
+    cy.get('select.records-dropdown option[value="Lough 5 Legends"]').should('exist')
+    cy.get('select.records-dropdown option[value="Record History"]').should('exist')
   })
 
   it('should display search input', () => {
@@ -65,12 +75,19 @@ describe('Records Page - Smoke Tests', () => {
     cy.get('h2.section-title').should('contain', 'Fastest 50 Female')
   })
 
-  it('should display all four categories correctly', () => {
+  it('should display all categories correctly', () => {
     const categories = [
       'Fastest 50 Male',
       'Fastest 50 Female',
+      'Fastest Lap Male',
+      'Fastest Lap Female',
       'Masters Men',
-      'Masters Women'
+      'Masters Women',
+      'Junior & Open',
+      'Age Graded',
+      'Most Appearances',
+      'Lough 5 Legends',
+      'Record History'
     ]
 
     categories.forEach((category) => {
@@ -131,6 +148,139 @@ describe('Records Page - Smoke Tests', () => {
     cy.get('h2.section-title').should('contain', 'Female')
   })
 
+  it('should show age grades for the age-graded list', () => {
+    cy.visit('/records.html?category=age-graded')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Age Graded')
+    cy.get('table thead th.age-grade-column').should('be.visible')
+    cy.get('tbody tr').first().find('td.age-grade-column').invoke('text').should('match', /^\d+\.\d%$/)
+  })
+
+  it('should expand a masters category into its all-time top 10', () => {
+    cy.visit('/records.html?category=masters-men')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    cy.get('tr.ranking-row').should('not.exist')
+
+    cy.contains('tbody tr', 'M50').find('button.ranking-toggle').click()
+    cy.get('tr.ranking-row').should('have.length.at.least', 9)
+    cy.get('tr.ranking-row').first().find('.ranking-rank').should('have.text', '#2')
+
+    cy.contains('tbody tr', 'M50').find('button.ranking-toggle').click()
+    cy.get('tr.ranking-row').should('not.exist')
+  })
+
+  it('should show junior and open records with their top 10', () => {
+    cy.visit('/records.html?category=junior-open')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Junior & Open')
+    cy.get('tbody tr').should('have.length', 4)
+    cy.get('tbody tr td.cat-column-records-first').then(cells => {
+      const categories = [...cells].map(cell => cell.textContent.replace(/[▸▾]/g, '').trim())
+      expect(categories).to.deep.equal(['MU19', 'MO', 'FU19', 'FO'])
+    })
+
+    cy.contains('tbody tr', 'MU19').find('button.ranking-toggle').click()
+    cy.get('tr.ranking-row').should('have.length.at.least', 9)
+  })
+
+  it('should expand the category of a deep-linked runner in the top 10', () => {
+    cy.visit('/records.html?category=masters-men&runner=albert-law')
+    cy.get('tr.highlight-row', { timeout: 10000 }).should('contain', 'Albert Law')
+      .and('have.class', 'ranking-row')
+  })
+
+  it('should list runners by appearances and highlight a linked runner', () => {
+    cy.visit('/records.html?category=most-appearances&runner=roger-harkness')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Most Appearances')
+    cy.get('tbody tr').should('have.length.at.least', 50)
+    cy.get('tbody tr').first().find('td.races-column').invoke('text').then(races => {
+      cy.get('tbody tr').last().find('td.races-column').invoke('text').then(lastRaces => {
+        expect(Number(races)).to.be.at.least(Number(lastRaces))
+      })
+    })
+    cy.get('tr.highlight-row').should('contain', 'Roger Harkness')
+  })
+
+  it('should rank Lough 5 Legends by races run', () => {
+    cy.visit('/records.html?category=legends')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Lough 5 Legends')
+    cy.get('table thead th.races-column').should('be.visible')
+    cy.get('table thead th.year-column').should('not.be.visible')
+    cy.get('tbody tr').first().find('td.races-column').invoke('text').then(races => {
+      expect(Number(races)).to.be.at.least(10)
+    })
+    cy.get('tbody tr').first().find('td.years-column').invoke('text').should('match', /^\d{4}-\d{4}$/)
+  })
+
+  it('should switch the fastest 50 between runners and performances', () => {
+    cy.visit('/records.html?category=fastest-50-male')
+    cy.get('.list-mode-toggle button').contains('Runners').should('have.attr', 'aria-pressed', 'true')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length', 50)
+
+    cy.get('.list-mode-toggle button').contains('Performances').click()
+    cy.url().should('include', 'mode=performances')
+    cy.get('h2.section-title').should('contain', 'Fastest 50 Male Performances')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length', 50)
+  })
+
+  it('should highlight every performance by a deep-linked runner', () => {
+    cy.visit('/records.html?category=fastest-50-male&mode=performances&runner=gareth-hill')
+    cy.get('.list-mode-toggle button').contains('Performances').should('have.attr', 'aria-pressed', 'true')
+    cy.get('tr.highlight-row', { timeout: 10000 }).should('have.length.at.least', 2)
+    cy.get('tr.highlight-row').each(row => {
+      cy.wrap(row).should('contain', 'Gareth Hill')
+    })
+  })
+
+  it('should show an empty non-binary list until the division has results', () => {
+    cy.visit('/records.html?category=masters-nonbinary')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Masters Non-binary')
+    cy.get('select.records-dropdown').first().should('have.value', 'Masters Non-binary')
+    cy.contains('No records yet.').should('be.visible')
+  })
+
+  it('should list the fastest laps with lap and finish times', () => {
+    cy.visit('/records.html?category=fastest-lap-female')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Fastest Lap Female')
+    cy.get('table thead th.lap-time-column').should('be.visible')
+    cy.get('tbody tr').should('have.length.at.least', 50)
+    cy.get('tbody tr').first().find('td.lap-time-column').invoke('text').should('match', /^\d:\d{2}:\d{2}$/)
+    cy.get('tbody tr').first().find('td.finish-time-column').invoke('text').should('match', /^\d:\d{2}:\d{2}$/)
+  })
+
+  it('should mark positions shared on the same time with "="', () => {
+    cy.visit('/records.html?category=fastest-lap-male')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 51)
+    cy.get('tbody tr').last().find('td.pos-column-records').invoke('text').should('match', /^=\d+$/)
+  })
+
+  it('should mark shared ranks in a category top 10', () => {
+    cy.visit('/records.html?category=masters-men')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    cy.contains('button', 'Show top 10 for every category').click()
+    cy.get('tr.ranking-row .ranking-rank').contains(/^=#\d+$/).should('exist')
+  })
+
+  it('should hide the runners/performances toggle for other lists', () => {
+    cy.visit('/records.html?category=masters-men')
+    cy.get('.list-mode-toggle').should('not.be.visible')
+  })
+
+  it('should show the record history for a category as a chart and table', () => {
+    cy.visit('/records.html?category=record-history&record=M40')
+    cy.get('h2.section-title', { timeout: 10000 }).should('contain', 'Record History')
+    cy.get('select.record-dropdown').should('be.visible').and('have.value', 'M40')
+    cy.get('#recordChart').should('be.visible')
+    cy.get('table thead th.margin-column').should('be.visible')
+    cy.get('table thead th.pos-column-records').should('not.be.visible')
+    cy.get('tbody tr').first().find('td.margin-column').should('contain', 'First record')
+    cy.get('tbody tr').should('have.length.at.least', 2)
+    cy.get('tbody tr').eq(1).find('td.margin-column').invoke('text').should('match', /^−\d+:\d{2}$/)
+
+    // Choosing another record updates the table and the URL
+    cy.get('select.record-dropdown').select('Female')
+    cy.url().should('include', 'record=Female')
+    cy.get('tbody tr').first().find('td.margin-column').should('contain', 'First record')
+  })
+
   it('should display data in records table', () => {
     // Just verify that the table has data, don't check specific position
     // because default category (Fastest 50 Male) should show position
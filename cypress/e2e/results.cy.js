@@ -14,13 +14,29 @@ describe('Results Page - Smoke Tests', () => {
 
   it('should display year dropdown with all years', () => {
     cy.get('select.year-dropdown').should('be.visible')
-    cy.get('select.year-dropdown option').should('have.length', 16)
+    cy.get('select.year-dropdown option').should('have.length', 17)
 
     // Check for specific years
     cy.get('select.year-dropdown option[value="2024"]').should('exist')
     cy.get('select.year-dropdown option[value="2009"]').should('exist')
   })
 
+  it('should populate year dropdown from the results manifest', () => {
+    cy.request('/results/index.json').then(({ body }) => {
+      cy.get('select.year-dropdown option').should('have.length', body.years.length)
+      cy.get('select.year-dropdown').should('have.value', String(body.default_year))
+    })
+  })
+
+  it('should hide columns the manifest marks as unavailable', () => {
+    // 2020 was virtual: no bib, lap or gun times
+    cy.visit('/results.html?year=2020')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    cy.get('table thead th.bib-column').should('not.be.visible')
+    cy.get('table thead th.lap-lough-column').should('not.be.visible')
+    cy.get('table thead th.gun-time-column').should('not.be.visible')
+  })
+
   it('should display search input', () => {
     cy.get('input[type="text"]').should('be.visible')
     cy.get('input[type="text"]').should('have.attr', 'placeholder')
@@ -77,7 +93,27 @@ describe('Results Page - Smoke Tests', () => {
   it('should display special note for 2020 virtual race', () => {
     cy.get('select.year-dropdown').select('2020')
     cy.wait(500)
-    cy.contains('virtual', { matchCase: false }).should('be.visible')
+    cy.get('.edition-info').contains('virtual', { matchCase: false }).should('be.visible')
+  })
+
+  it('should show the edition info panel for years with details', () => {
+    cy.intercept('GET', '**/results/editions.json', {
+      body: {
+        editions: [
+          { year: 2023, date: '2023-12-31', start_time: '12:00', weather: 'Strong westerly wind', temperature_c: 4 }
+        ]
+      }
+    })
+    cy.visit('/results.html?year=2023')
+
+    cy.get('.edition-info').should('be.visible')
+      .and('contain', 'Sun, 31 Dec 2023')
+      .and('contain', '12:00')
+      .and('contain', 'Strong westerly wind, 4°C')
+
+    // Years without an edition have no panel
+    cy.get('select[x-model="selectedYear"]').select('2022')
+    cy.get('.edition-info').should('not.exist')
   })
 
   it('should handle search with no results gracefully', () => {
@@ -125,6 +161,216 @@ describe('Results Page - Smoke Tests', () => {
     cy.get('input[type="text"]').should('have.value', 'Smith')
   })
 
+  it('should filter by category from URL parameters', () => {
+    cy.visit('/results.html?year=2024&category=M50')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('select.category-dropdown').should('have.value', 'M50')
+    cy.get('table thead th.filter-pos-column').should('contain', 'M50 Pos.')
+    cy.get('tbody td.cat-column').each(($cell) => {
+      expect($cell.text().trim()).to.equal('M50')
+    })
+    cy.get('tbody tr').first().find('td.filter-pos-column').should('have.text', '1')
+  })
+
+  it('should share positions and medals between runners on the same time', () => {
+    cy.visit('/results.html?year=2023&category=F60')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 3)
+    cy.get('tbody tr').eq(0).find('td.filter-pos-column').should('have.text', '=1')
+    cy.get('tbody tr').eq(1).find('td.filter-pos-column').should('have.text', '=1')
+    cy.get('tbody tr').eq(2).find('td.filter-pos-column').should('have.text', '3')
+    cy.get('tbody tr').eq(0).should('contain', '🥇 F60')
+    cy.get('tbody tr').eq(1).should('contain', '🥇 F60')
+  })
+
+  it('should not show a non-finishers section when everyone finished', () => {
+    cy.visit('/results.html?year=2024')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    cy.get('tbody.non-finishers').should('not.exist')
+  })
+
+  it('should list non-finishers after the finishers with their status', () => {
+    // Mark the runner-up as disqualified
+    cy.intercept('GET', '**/results/2024.json', req => {
+      req.continue(res => {
+        res.body[1].status = 'DQ'
+        delete res.body[1].Position
+      })
+    })
+    cy.visit('/results.html?year=2024')
+    cy.get('tbody.non-finishers', { timeout: 10000 }).should('exist')
+    cy.get('tbody.non-finishers tr.non-finishers-heading').should('contain', 'Non-finishers')
+    cy.get('tbody.non-finishers tr.non-finisher-row').should('have.length', 1)
+      .find('td.pos-column').should('have.text', 'DQ')
+      .and('have.attr', 'title', 'Disqualified')
+  })
+
+  it('should narrow categories to the selected gender', () => {
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('select.gender-dropdown').select('F')
+    cy.url().should('include', 'gender=F')
+    cy.get('select.category-dropdown option').each(($option) => {
+      const value = $option.val()
+      if (value) {
+        expect(value.charAt(0)).to.equal('F')
+      }
+    })
+  })
+
+  it('should switch to the Kids Fun Run with the event selector', () => {
+    cy.intercept('GET', '**/results/index.json', req => {
+      req.continue(res => {
+        res.body.events.push({
+          id: 'fun-run',
+          name: 'Kids Fun Run',
+          distance: '~1.7 mile',
+          latest_year: 2025,
+          years: [{ year: 2025, finishers: 2, columns: { bib: false, two_miles: false, lap_of_lough: false, gun_time: false } }]
+        })
+      })
+    })
+    cy.intercept('GET', '**/results/fun-run/2025.json', {
+      body: [
+        { Position: '1', Name: 'Amy Smith', Category: 'Girls U10', 'Chip Time': '00:12:30', runner_id: 'amy-smith' },
+        { Position: '2', Name: 'Tom Jones', Category: 'Boys U12', 'Chip Time': '00:13:05', runner_id: 'tom-jones' }
+      ]
+    })
+    cy.visit('/results.html?event=fun-run')
+
+    cy.get('select.event-dropdown').should('have.value', 'fun-run')
+    cy.contains('h2', 'Kids Fun Run').should('exist')
+    cy.get('tbody tr').should('have.length', 2)
+    cy.get('select.view-dropdown option[value="teams"]').should('not.exist')
+  })
+
+  it('should filter to the non-binary division with its own positions', () => {
+    cy.intercept('GET', '**/results/2024.json', req => {
+      req.continue(res => {
+        res.body[4].Category = 'XO'
+        res.body[9].Category = 'X40'
+      })
+    })
+    cy.visit('/results.html?year=2024&gender=X')
+    cy.get('select.gender-dropdown', { timeout: 10000 }).should('have.value', 'X')
+    cy.get('select.category-dropdown option').then($options => {
+      const values = [...$options].map(option => option.value).filter(value => value)
+      expect(values).to.deep.equal(['XO', 'X40'])
+    })
+    cy.get('tbody tr').should('have.length', 2)
+    cy.get('tbody tr').first().find('td.filter-pos-column').should('have.text', '1')
+  })
+
+  it('should filter by division from the URL', () => {
+    cy.visit('/results.html?year=2024&division=wheelchair')
+    cy.get('select.division-dropdown', { timeout: 10000 }).should('be.visible').and('have.value', 'wheelchair')
+    cy.get('table thead th.filter-pos-column').should('have.text', 'Wheelchair Pos.')
+    cy.get('tbody tr').should('have.length', 2)
+    cy.get('tbody tr').first().find('td.awards-column').should('contain', '🥇 Wheelchair')
+  })
+
+  it('should hide the division selector for a year with only the road race', () => {
+    cy.visit('/results.html?year=2023')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    cy.get('select.division-dropdown').should('not.be.visible')
+  })
+
+  it('should sort by a column when its header is clicked', () => {
+    cy.visit('/results.html?year=2024')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('table thead th.lap-lough-column').click()
+    cy.url().should('include', 'sort=lap_of_lough')
+    cy.get('table thead th.lap-lough-column .sort-indicator').should('have.text', '▲')
+
+    // Lap times should now be in ascending order
+    cy.get('tbody td.lap-lough-column').then(($cells) => {
+      const seconds = [...$cells].slice(0, 20).map((cell) => {
+        const [h, m, s] = cell.textContent.trim().split(':').map(Number)
+        return h * 3600 + m * 60 + s
+      })
+      expect(seconds).to.deep.equal([...seconds].sort((a, b) => a - b))
+    })
+
+    // Clicking again reverses the order
+    cy.get('table thead th.lap-lough-column').click()
+    cy.url().should('include', 'sort=-lap_of_lough')
+  })
+
+  it('should add a secondary sort key with shift-click', () => {
+    cy.visit('/results.html?year=2024&sort=age_group')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('table thead th.chip-time-column').click({ shiftKey: true })
+    cy.url().should('include', 'sort=age_group%2Cchip_time')
+    cy.get('table thead th.cat-column .sort-indicator').should('have.text', '▲1')
+    cy.get('table thead th.chip-time-column .sort-indicator').should('have.text', '▲2')
+  })
+
+  it('should show split ranks and pacing in the Splits view', () => {
+    cy.visit('/results.html?year=2012')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('select.view-dropdown').select('splits')
+    cy.url().should('include', 'view=splits')
+    cy.get('.splits-table thead th.split-column').should('have.length', 2)
+    cy.get('.splits-table tbody tr').first().within(() => {
+      cy.get('td.split-column').first().should('contain', '(1)')
+      cy.get('td.split-type-column').invoke('text').should('match', /Positive|Negative|Even/)
+    })
+  })
+
+  it('should not offer the Splits view for years without split times', () => {
+    cy.visit('/results.html?year=2020&view=splits')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+    // The view dropdown stays for the Teams view, without a Splits option
+    cy.get('select.view-dropdown').should('be.visible')
+    cy.get('select.view-dropdown option[value="splits"]').should('not.exist')
+    cy.get('.splits-table').should('not.exist')
+  })
+
+  it('should show club team placings in the Teams view', () => {
+    cy.visit('/results.html?year=2025')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('select.view-dropdown').select('teams')
+    cy.url().should('include', 'view=teams')
+    cy.get('.team-competition', { timeout: 10000 }).should('have.length.at.least', 2)
+    cy.get('.teams-table tbody tr').first().within(() => {
+      cy.get('td.pos-column-teams').should('have.text', '1')
+      cy.get('a.team-scorer').first().should('have.attr', 'href').and('include', 'runner-stats.html?runner=')
+    })
+  })
+
+  it('should award the fastest lap even without an overall win', () => {
+    cy.visit('/results.html?year=2023')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('td.awards-cell').filter(':contains("⏱️ Fastest Lap")').should('have.length', 2)
+    cy.contains('tbody tr', 'Tristan Kelly').find('td.awards-cell')
+      .should('contain', '🥉 Male').and('contain', '⏱️ Fastest Lap')
+  })
+
+  it('should mark results excluded from records as not record-eligible', () => {
+    cy.visit('/results.html?year=2020')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('tbody tr').first().find('td.awards-cell .result-badge-ineligible')
+      .should('have.text', 'Not record-eligible')
+      .and('have.attr', 'title').and('include', 'Virtual race')
+    cy.get('tbody tr').first().find('td.awards-cell').should('not.contain', '🥇')
+  })
+
+  it('should show PB and debut badges next to the awards', () => {
+    cy.visit('/results.html?year=2025')
+    cy.get('tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+
+    cy.get('td.awards-cell .result-badge-pb').should('have.length.at.least', 1)
+      .first().invoke('text').should('match', /^PB −\d+:\d{2}$/)
+    cy.get('td.awards-cell .result-badge-debut').should('have.length.at.least', 1)
+      .first().should('have.text', 'Debut')
+  })
+
   it('should be responsive on mobile', () => {
     cy.viewport('iphone-x')
     cy.get('select.year-dropdown').should('be.visible')
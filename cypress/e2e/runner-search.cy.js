@@ -47,7 +47,7 @@ describe('Runner Search and Stats Pages - Smoke Tests', () => {
 
     it('should navigate to runner stats page when clicking a result', () => {
       cy.get('input.search-input').type('eoin mullan')
-      cy.get('tbody tr').first().click()
+      cy.get('tbody tr').first().find('td[data-label="Name"]').click()
       cy.url().should('include', 'runner-stats.html?runner=')
     })
 
@@ -115,6 +115,69 @@ describe('Runner Search and Stats Pages - Smoke Tests', () => {
       cy.get('thead th').contains('Time').should('be.visible')
     })
 
+    it('should show participation milestones and streaks for long-time runners', () => {
+      cy.visit('/runner-stats.html?runner=owen-falconer')
+      cy.contains('Achievements', { timeout: 10000 }).should('be.visible')
+      cy.contains('.badge-item', 'Race Milestones').within(() => {
+        cy.contains('a.badge-tag', '10 races').should('have.attr', 'href').and('include', 'results.html?year=')
+        cy.contains('a.badge-tag', 'Lough 5 Legend').should('have.attr', 'href').and('include', 'category=legends')
+      })
+      cy.contains('.badge-item', 'Streaks').should('contain', 'Ran every year since 2009')
+    })
+
+    it('should show all-time age group top 10 places', () => {
+      cy.visit('/runner-stats.html?runner=albert-law')
+      cy.contains('.badge-item', 'Age Group Top 10', { timeout: 10000 }).within(() => {
+        cy.contains('a.badge-tag', /fastest M70 ever/).should('have.attr', 'href').and('include', 'category=masters-men')
+      })
+    })
+
+    it('should show debut and PB badges in the race history', () => {
+      cy.contains('Race History', { timeout: 10000 }).scrollIntoView()
+      cy.get('td.race-badges').first().should('contain', 'Debut')
+      cy.get('td.race-badges .result-badge-pb').should('have.length.at.least', 1)
+        .first().invoke('text').should('match', /^PB −\d+:\d{2}$/)
+    })
+
+    it('should mark results excluded from records in the race history', () => {
+      cy.visit('/runner-stats.html?runner=chris-mc-guigan')
+      cy.contains('Race History', { timeout: 10000 }).scrollIntoView()
+      cy.contains('tr', '2020').find('td.race-badges .result-badge-ineligible')
+        .should('have.text', 'Not record-eligible')
+        .and('have.attr', 'title').and('include', 'Virtual race')
+    })
+
+    it('should show a shared category win with "="', () => {
+      cy.visit('/runner-stats.html?runner=jennifer-morton')
+      cy.contains('.badge-tag', '=1st F60 (2023)', { timeout: 10000 }).should('exist')
+      cy.contains('Race History').scrollIntoView()
+      cy.contains('tr', '2023').find('td[data-label="Pos. (cat.)"]').should('have.text', '330 (=1)')
+    })
+
+    it('should label wheelchair results with their division position', () => {
+      cy.visit('/runner-stats.html?runner=team-kerr')
+      cy.contains('Race History', { timeout: 10000 }).scrollIntoView()
+      cy.contains('tr', '2024').find('td[data-label="Pos. (cat.)"]').should('have.text', '756 (2)')
+      cy.contains('tr', '2024').find('td.race-badges .result-badge-division').should('have.text', 'Wheelchair')
+    })
+
+    it('should leave wheelchair times off the performance chart', () => {
+      // A second road race finish, so the chart is drawn
+      cy.intercept('GET', '**/runner-stats/team-kerr.json', req => {
+        req.continue(res => {
+          res.body.results.push({ ...res.body.results[2], year: 2023, chip_time: '0:56:10', race_number: 2 })
+        })
+      })
+      cy.visit('/runner-stats.html?runner=team-kerr')
+      cy.get('#performanceChart', { timeout: 10000 }).should('be.visible')
+
+      cy.window().then(win => {
+        const page = win.Alpine.$data(win.document.querySelector('[x-data]'))
+        cy.wrap(page).its('chart.data.labels').should('deep.equal', [2023, 2024, 2025])
+        cy.wrap(page).its('chart.data.datasets.0.data').should('deep.equal', [3370, null, 3284])
+      })
+    })
+
     it('should display performance graph for runners with multiple races', () => {
       // Wait for page to load
       cy.wait(1000)
@@ -134,7 +197,7 @@ describe('Runner Search and Stats Pages - Smoke Tests', () => {
     it('should navigate back when clicking back button', () => {
       cy.visit('/runner-search.html')
       cy.get('input.search-input').type('mullan')
-      cy.get('tbody tr').first().click()
+      cy.get('tbody tr').first().find('td[data-label="Name"]').click()
       cy.url().should('include', 'runner-stats.html?runner=')
       cy.get('button.btn.btn-secondary', { timeout: 10000 }).contains('Back').click()
       cy.url().should('include', 'runner-search.html')
@@ -178,7 +241,7 @@ describe('Runner Search and Stats Pages - Smoke Tests', () => {
       cy.get('tbody tr').should('have.length.at.least', 1)
 
       // Click on first result
-      cy.get('tbody tr').first().click()
+      cy.get('tbody tr').first().find('td[data-label="Name"]').click()
 
       // Should be on stats page - wait for content to load
       cy.url().should('include', 'runner-stats.html?runner=')
@@ -0,0 +1,81 @@
+describe('Race Statistics Page - Smoke Tests', () => {
+  beforeEach(() => {
+    cy.visit('/stats.html')
+    cy.get('.stats-summary tbody tr', { timeout: 10000 }).should('have.length.at.least', 1)
+  })
+
+  it('should load the stats page successfully', () => {
+    cy.get('h2.section-title').should('contain', 'Race Statistics')
+  })
+
+  it('should display the charts', () => {
+    cy.contains('Finishers Per Year').should('be.visible')
+    cy.contains('Chip Times Per Year').should('be.visible')
+    cy.get('#finishersChart').should('exist')
+    cy.get('#timesChart').should('exist')
+    cy.get('#categoryChart').should('exist')
+    cy.get('#histogramChart').should('exist')
+  })
+
+  it('should list every year with median chip times, newest first', () => {
+    cy.get('.stats-summary tbody tr').first().find('td[data-label="Year"]').should('contain', '2025')
+    cy.get('.stats-summary tbody tr').first().find('td[data-label="Median"]').invoke('text').should('match', /^\d:\d{2}:\d{2}$/)
+  })
+
+  it('should default to the latest year and update the URL when the year changes', () => {
+    cy.get('.stats-year select').should('have.value', '2025')
+    cy.get('.stats-year select').select('2019')
+    cy.url().should('include', 'year=2019')
+  })
+
+  it('should count non-binary finishers alongside male and female', () => {
+    cy.get('.stats-summary th').should('contain', 'Non-binary')
+    cy.get('.stats-summary tbody tr').first().find('td[data-label="Non-binary"]').invoke('text').should('match', /^\d+$/)
+
+    cy.window().then(win => {
+      const page = win.Alpine.$data(win.document.querySelector('[x-data]'))
+      cy.wrap(page).its('charts.finishersChart.data.datasets').then(datasets => {
+        expect(datasets.map(d => d.label)).to.deep.equal(['Male', 'Female', 'Non-binary'])
+      })
+      cy.wrap(page).its('charts.histogramChart.data.datasets').should('have.length', 3)
+    })
+  })
+
+  it('should colour the category chart by gender', () => {
+    cy.intercept('GET', '**/stats/summary.json', req => {
+      req.continue(res => {
+        res.body.years[res.body.years.length - 1].categories = { MO: 10, FO: 8, XO: 2, WCH: 1 }
+      })
+    })
+    cy.visit('/stats.html')
+    cy.get('#categoryChart', { timeout: 10000 }).should('exist')
+
+    cy.window().then(win => {
+      const page = win.Alpine.$data(win.document.querySelector('[x-data]'))
+      cy.wrap(page).its('charts.categoryChart.data.datasets.0.backgroundColor').should('deep.equal', [
+        'rgba(255, 202, 40, 0.7)',
+        'rgba(69, 90, 100, 0.7)',
+        'rgba(38, 166, 154, 0.7)',
+        'rgba(158, 158, 158, 0.7)'
+      ])
+    })
+  })
+
+  it('should leave walk, buggy and wheelchair times out of the time statistics', () => {
+    cy.request('/results/2024.json').then(({ body: results }) => {
+      const running = results.filter(r => (!r.status || r.status === 'FIN') && !r.division && r['Chip Time'])
+      expect(running.length).to.be.lessThan(results.filter(r => (!r.status || r.status === 'FIN') && r['Chip Time']).length)
+
+      cy.request('/stats/summary.json').then(({ body }) => {
+        const year = body.years.find(y => y.year === 2024)
+        const histogramTotal = year.histogram.reduce((sum, bin) => sum + bin.total, 0)
+        expect(histogramTotal).to.equal(running.length)
+      })
+    })
+  })
+
+  it('should open the year from the URL', () => {
+    cy.visit('/stats.html?year=2015')
+    cy.get('.stats-year select', { timeout: 10000 }).should('have.value', '2015')
+  })
+})
@@ -0,0 +1,204 @@
+/**
+ * Script to add age-graded percentages to yearly results and generate the
+ * all-time best age-graded performances list
+ *
+ * Age grading compares a time with the best possible time for the runner's
+ * age and gender, so a 62-year-old's 31:00 can be compared fairly with an open
+ * winner's 25:00:
+ *
+ *   age_grade = open standard / (chip time × age factor) × 100
+ *
+ * Open standards and WMA-style 5 mile road factors are read from
+ * data/age-grade-factors.json. Factors are keyed by gender and the lower bound
+ * of the masters category (M60 uses the age 60 factor). Open and junior
+ * categories use a factor of 1. Results without a gender (e.g. wheelchair)
+ * and genders without published standards (non-binary) are not graded.
+ *
+ * This script:
+ * - Writes an `age_grade` percentage (one decimal place) onto every graded result
+ * - Writes the best age-graded performance for each runner (top 50, men and
+ *   women together) to assets/records/age-graded.json
+ *
+ * Age grades always use chip time. Non-finishers (result-status.js) and walk,
+ * buggy and wheelchair entries (divisions.js) aren't graded. Results excluded
+ * in data/record-eligibility.json are still graded but left out of the list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRecordEligibility, isRecordEligible } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+const { getGender } = require('./genders');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const factorsPath = path.join(__dirname, '..', 'data', 'age-grade-factors.json');
+const outputPath = path.join(__dirname, '..', 'assets', 'records', 'age-graded.json');
+
+// Number of performances in the all-time list (before ties)
+const LIST_SIZE = 50;
+
+// Function to convert time string to seconds for comparisons
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to convert seconds back to time string in H:MM:SS format
+function secondsToTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to get the age factor for a category (1 for open and junior categories)
+function getAgeFactor(factors, category, gender) {
+  const match = category.toUpperCase().match(/^[A-Z](\d+)$/);
+  if (!match) return 1;
+
+  const lowerBound = parseInt(match[1]);
+
+  // "M0" is a typo for the open category
+  if (lowerBound === 0) return 1;
+
+  const factor = factors[gender][String(lowerBound)];
+  if (factor === undefined) {
+    throw new Error(`No ${gender} age factor for category ${category} in ${factorsPath}`);
+  }
+  return factor;
+}
+
+// Function to calculate the age-graded percentage for a result (null if it can't be graded)
+function getAgeGrade(runner, ageGrading) {
+  if (!isFinisher(runner) || !isRunDivision(runner)) return null;
+
+  // Genders without an open standard (e.g. non-binary) aren't graded
+  const gender = getGender(runner.Category);
+  if (!gender || !ageGrading.standards[gender]) return null;
+
+  const seconds = timeToSeconds(runner["Chip Time"]);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+
+  const factor = getAgeFactor(ageGrading.factors, runner.Category, gender);
+  const standard = ageGrading.standards[gender];
+
+  return Math.round((standard / (seconds * factor)) * 1000) / 10;
+}
+
+// Main function
+async function addAgeGrades() {
+  console.log('Adding age grades to yearly results...\n');
+
+  const factorData = JSON.parse(fs.readFileSync(factorsPath, 'utf8'));
+  const ageGrading = {
+    factors: factorData.factors,
+    standards: Object.fromEntries(
+      Object.entries(factorData.open_standard).map(([gender, time]) => [gender, timeToSeconds(time)])
+    )
+  };
+  const eligibility = loadRecordEligibility();
+
+  // Best age-graded performance for each runner
+  const bestByRunner = {};
+  let totalGraded = 0;
+
+  // Get all yearly results files in the results directory
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const filePath = path.join(resultsDir, file);
+
+    const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    let yearGraded = 0;
+
+    yearResults.forEach(runner => {
+      const ageGrade = getAgeGrade(runner, ageGrading);
+
+      if (ageGrade === null) {
+        delete runner.age_grade;
+        return;
+      }
+
+      runner.age_grade = ageGrade;
+      yearGraded++;
+
+      if (!runner.runner_id || !isRecordEligible(runner, year, eligibility)) return;
+
+      const best = bestByRunner[runner.runner_id];
+      if (!best || ageGrade > best.age_grade) {
+        bestByRunner[runner.runner_id] = {
+          age_grade: ageGrade,
+          seconds: timeToSeconds(runner["Chip Time"]),
+          name: runner.Name,
+          club: runner.Club || '',
+          category: runner.Category,
+          year: year,
+          runner_id: runner.runner_id
+        };
+      }
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify(yearResults, null, 2));
+    console.log(`Processing ${year} results... ${yearGraded} of ${yearResults.length} graded`);
+    totalGraded += yearGraded;
+  }
+
+  // Highest age grade first; earlier year first for ties. Anyone on the same
+  // age grade as the last of the top LIST_SIZE is kept (they share its position).
+  const ranked = Object.values(bestByRunner)
+    .sort((a, b) => {
+      if (a.age_grade !== b.age_grade) return b.age_grade - a.age_grade;
+      return a.year - b.year;
+    });
+  const cutoff = ranked.length > LIST_SIZE ? ranked[LIST_SIZE - 1].age_grade : -Infinity;
+  const best = ranked.filter(runner => runner.age_grade >= cutoff);
+
+  const records = [];
+  let currentPosition = 1;
+  best.forEach((runner, i) => {
+    if (i > 0 && runner.age_grade !== best[i - 1].age_grade) {
+      currentPosition = i + 1;
+    }
+
+    records.push({
+      "Position": currentPosition,
+      "Year": runner.year,
+      "Name": runner.name,
+      "Club": runner.club,
+      "Category": runner.category,
+      "Finish Time": secondsToTime(runner.seconds),
+      "Age Grade": `${runner.age_grade.toFixed(1)}%`,
+      "runner_id": runner.runner_id
+    });
+  });
+
+  console.log('\nTop 10 Age-Graded Performances:');
+  records.slice(0, 10).forEach(record => {
+    console.log(`${record.Position}. ${record.Name} (${record.Category}, ${record.Year}) - ${record["Finish Time"]} = ${record["Age Grade"]}`);
+  });
+
+  fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+
+  console.log(`\n✓ Added age grades to ${totalGraded} results across ${files.length} years`);
+  console.log(`  Age-graded list saved to ${outputPath}`);
+}
+
+// Run the script
+addAgeGrades().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+/**
+ * Script to add runner history fields to yearly results
+ *
+ * Every result with a runner_id (other than the shared "unknown" placeholder)
+ * is compared with that runner's earlier Lough 5 results, and gets:
+ * - race_number: Which Lough 5 this was for the runner (1 for their first)
+ * - is_debut: true for the runner's first Lough 5
+ * - is_pb: true if the chip time beat all of the runner's earlier chip times
+ *   (a debut is not a PB - there is nothing to beat)
+ * - pb_improvement_seconds: Seconds taken off the previous best (null unless is_pb)
+ * - first_in_category: true the first time a returning runner races in a
+ *   category (e.g. their first year as an M40); false on debut
+ *
+ * Non-finishers (status DNF, DQ or NT - see result-status.js) count as races,
+ * but their times are never PBs and don't set the best to beat. The same goes
+ * for walk, buggy and wheelchair entries (see divisions.js): PBs are running PBs.
+ *
+ * Results are read in year order, so the script must be rerun over every year
+ * whenever any year's results or runner IDs change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+
+// Placeholder ID shared by unidentified runners (they have no history of their own)
+const UNKNOWN_RUNNER_ID = 'unknown';
+
+// History fields written by this script (cleared before recomputing)
+const HISTORY_FIELDS = [
+  'race_number',
+  'is_debut',
+  'is_pb',
+  'pb_improvement_seconds',
+  'first_in_category'
+];
+
+// Function to convert time string to seconds for comparisons
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to get a valid chip time in seconds (null if missing, unparseable or not a running finish)
+function getChipSeconds(runner) {
+  if (!isFinisher(runner) || !isRunDivision(runner)) return null;
+  const seconds = timeToSeconds(runner["Chip Time"]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+// Function to build the history fields for one result, updating the runner's history
+function getHistoryFields(runner, history) {
+  const category = (runner.Category || '').trim();
+  const seconds = getChipSeconds(runner);
+  const isDebut = history.races === 0;
+
+  const fields = {
+    race_number: history.races + 1,
+    is_debut: isDebut,
+    is_pb: false,
+    pb_improvement_seconds: null,
+    first_in_category: !isDebut && category !== '' && !history.categories.has(category)
+  };
+
+  if (seconds !== null && history.bestSeconds !== null && seconds < history.bestSeconds) {
+    fields.is_pb = true;
+    fields.pb_improvement_seconds = history.bestSeconds - seconds;
+  }
+
+  history.races++;
+  if (category) history.categories.add(category);
+  if (seconds !== null && (history.bestSeconds === null || seconds < history.bestSeconds)) {
+    history.bestSeconds = seconds;
+  }
+
+  return fields;
+}
+
+// Main function
+async function addHistoryFields() {
+  console.log('Adding runner history fields to yearly results...\n');
+
+  // Get all yearly results files, oldest first (history builds up year by year)
+  const files = fs.readdirSync(resultsDir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort();
+
+  // runner_id -> { races, bestSeconds, categories }
+  const histories = new Map();
+
+  let totalPbs = 0;
+  let totalDebuts = 0;
+
+  // Process each year's results
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const filePath = path.join(resultsDir, file);
+
+    const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    let yearPbs = 0;
+    let yearDebuts = 0;
+
+    yearResults.forEach(runner => {
+      // Remove stale history (e.g. if runner IDs have been reassigned)
+      HISTORY_FIELDS.forEach(field => delete runner[field]);
+
+      if (!runner.runner_id || runner.runner_id === UNKNOWN_RUNNER_ID) return;
+
+      if (!histories.has(runner.runner_id)) {
+        histories.set(runner.runner_id, { races: 0, bestSeconds: null, categories: new Set() });
+      }
+
+      const historyFields = getHistoryFields(runner, histories.get(runner.runner_id));
+      Object.assign(runner, historyFields);
+
+      if (historyFields.is_pb) yearPbs++;
+      if (historyFields.is_debut) yearDebuts++;
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify(yearResults, null, 2));
+    console.log(`Processing ${year} results... ${yearDebuts} debuts, ${yearPbs} PBs`);
+    totalPbs += yearPbs;
+    totalDebuts += yearDebuts;
+  }
+
+  console.log(`\n✓ Successfully added history fields across ${files.length} years (${totalDebuts} debuts, ${totalPbs} PBs)`);
+}
+
+// Run the script
+addHistoryFields().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
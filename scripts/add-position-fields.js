@@ -3,13 +3,33 @@
  *
  * This script updates each yearly results file to include:
  * - category_position: Position within the runner's age category
- * - gender_position: Position within the runner's gender (all male or all female categories)
+ * - gender_position: Position within the runner's gender (all male, female or non-binary categories)
+ * - fastest_lap: true for the fastest "Lap of Lough" split by each gender (only set when true)
+ * - division_position: Position within the walk, buggy or wheelchair division
+ *   (only set on those results - see divisions.js)
+ * - record_eligible / ineligible_reason: false and the reason for results excluded
+ *   in data/record-eligibility.json (only set on excluded results)
  *
- * These fields enable the frontend to display medals/awards for podium finishes.
+ * Positions are by chip time, and runners on the same time share a position
+ * (and so share any medal), e.g. two runners both 2nd with the next one 4th.
+ * Non-finishers (status DNF, DQ or NT - see result-status.js) get no positions
+ * or awards and aren't counted in anyone else's position. Walk, buggy and
+ * wheelchair entries get no running positions, podiums or fastest lap; their
+ * division's top 3 get medals instead (e.g. "🥇 Wheelchair").
+ *
+ * These fields enable the frontend to display medals/awards for podium finishes
+ * and fastest laps. Excluded results keep their positions but get no awards,
+ * and medals go by rank among the eligible results: if the 2nd placed result
+ * is excluded, the 3rd placed runner gets 🥈. The fastest lap goes to the
+ * fastest eligible lap.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadRecordEligibility, getIneligibleReason } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { GENDERS, getGender, isOpenCategory } = require('./genders');
+const { DIVISIONS, getDivision, isRunDivision } = require('./divisions');
 
 // Paths
 const resultsDir = path.join(__dirname, '..', 'assets', 'results');
@@ -30,29 +50,23 @@ function timeToSeconds(timeStr) {
   return Infinity;
 }
 
-// Function to get gender from category
-function getGender(category) {
-  if (!category) return null;
-  const upper = category.toUpperCase();
-  if (upper.startsWith('M')) return 'M';
-  if (upper.startsWith('F')) return 'F';
-  return null;
+// Shortest plausible lap as a share of the finish time. The lap is about a
+// quarter of the course, so anything much quicker is a mistimed split.
+const MIN_LAP_SHARE = 0.2;
+
+// Function to get a runner's position among a group of results by chip time.
+// Equal times share a position (two runners on the same time are both 3rd,
+// and the next runner is 5th).
+function getSharedPosition(groupResults, runner) {
+  const seconds = timeToSeconds(runner["Chip Time"]);
+  return groupResults.filter(r => timeToSeconds(r["Chip Time"]) < seconds).length + 1;
 }
 
 // Function to get position within a category
 function getCategoryPosition(yearResults, runner) {
   // Filter runners in the same category
-  const categoryRunners = yearResults
-    .filter(r => r.Category === runner.Category)
-    .sort((a, b) => {
-      const timeA = timeToSeconds(a["Chip Time"]);
-      const timeB = timeToSeconds(b["Chip Time"]);
-      return timeA - timeB;
-    });
-
-  // Find the runner's position in their category
-  const position = categoryRunners.findIndex(r => r.runner_id === runner.runner_id) + 1;
-  return position > 0 ? position : null;
+  const categoryRunners = yearResults.filter(r => r.Category === runner.Category);
+  return getSharedPosition(categoryRunners, runner);
 }
 
 // Function to get position within gender
@@ -61,21 +75,47 @@ function getGenderPosition(yearResults, runner) {
   if (!runnerGender) return null;
 
   // Filter runners of the same gender
-  const genderRunners = yearResults
-    .filter(r => getGender(r.Category) === runnerGender)
-    .sort((a, b) => {
-      const timeA = timeToSeconds(a["Chip Time"]);
-      const timeB = timeToSeconds(b["Chip Time"]);
-      return timeA - timeB;
-    });
-
-  // Find the runner's position within their gender
-  const position = genderRunners.findIndex(r => r.runner_id === runner.runner_id) + 1;
-  return position > 0 ? position : null;
+  const genderRunners = yearResults.filter(r => getGender(r.Category) === runnerGender);
+  return getSharedPosition(genderRunners, runner);
+}
+
+// Function to get position within a walk, buggy or wheelchair division
+function getDivisionPosition(yearResults, runner) {
+  const division = getDivision(runner);
+  const divisionRunners = yearResults.filter(r => getDivision(r) === division);
+  return getSharedPosition(divisionRunners, runner);
+}
+
+// Function to get a plausible Lap of Lough time in seconds (null if missing or mistimed)
+function getLapSeconds(runner) {
+  const lapSeconds = timeToSeconds(runner["Lap of Lough"]);
+  const finishSeconds = timeToSeconds(runner["Chip Time"]);
+  if (!Number.isFinite(lapSeconds) || !Number.isFinite(finishSeconds) || lapSeconds <= 0) return null;
+  return lapSeconds >= finishSeconds * MIN_LAP_SHARE && lapSeconds < finishSeconds ? lapSeconds : null;
+}
+
+// Function to get the fastest Lap of Lough time for each gender (equal times share the award)
+function getFastestLaps(yearResults) {
+  const fastestLaps = {};
+  yearResults.forEach(runner => {
+    const gender = getGender(runner.Category);
+    const lapSeconds = getLapSeconds(runner);
+    if (!gender || lapSeconds === null) return;
+    if (!fastestLaps[gender] || lapSeconds < fastestLaps[gender]) {
+      fastestLaps[gender] = lapSeconds;
+    }
+  });
+  return fastestLaps;
+}
+
+// Function to check if a runner ran the fastest lap for their gender
+function isFastestLap(fastestLaps, runner) {
+  const lapSeconds = getLapSeconds(runner);
+  return lapSeconds !== null && lapSeconds === fastestLaps[getGender(runner.Category)];
 }
 
 // Function to determine awards for a runner
-function getAwards(yearResults, runner) {
+function getAwards(yearResults, runner, fastestLaps) {
   const awards = [];
   const categoryPosition = getCategoryPosition(yearResults, runner);
   const genderPosition = getGenderPosition(yearResults, runner);
@@ -83,22 +123,26 @@ function getAwards(yearResults, runner) {
   // Overall podium (1st/2nd/3rd by gender)
   if (genderPosition >= 1 && genderPosition <= 3) {
     const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
-    const field = getGender(runner.Category) === 'M' ? 'Male' : 'Female';
-    awards.push(`${medals[genderPosition]} ${field}`);
+    awards.push(`${medals[genderPosition]} ${GENDERS[getGender(runner.Category)]}`);
   }
 
-  // Category podium (1st/2nd/3rd in age category, excluding MO/FO)
+  // Category podium (1st/2nd/3rd in age category, excluding MO/FO/XO)
   if (categoryPosition >= 1 && categoryPosition <= 3 &&
-      runner.Category !== 'MO' && runner.Category !== 'FO') {
+      !isOpenCategory(runner.Category)) {
     const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
     awards.push(`${medals[categoryPosition]} ${runner.Category}`);
   }
 
+  // Fastest Lap of Lough split by gender
+  if (isFastestLap(fastestLaps, runner)) {
+    awards.push('⏱️ Fastest Lap');
+  }
+
   return awards;
 }
 
 // Function to determine single highlight emoji (for mobile display)
-function getHighlight(yearResults, runner) {
+function getHighlight(yearResults, runner, fastestLaps) {
   const categoryPosition = getCategoryPosition(yearResults, runner);
   const genderPosition = getGenderPosition(yearResults, runner);
   const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
@@ -108,24 +152,111 @@ function getHighlight(yearResults, runner) {
     return medals[genderPosition];
   }
 
-  // Priority 2: Category podium (1st/2nd/3rd in age category, excluding MO/FO)
+  // Priority 2: Category podium (1st/2nd/3rd in age category, excluding MO/FO/XO)
   if (categoryPosition >= 1 && categoryPosition <= 3 &&
-      runner.Category !== 'MO' && runner.Category !== 'FO') {
+      !isOpenCategory(runner.Category)) {
     return medals[categoryPosition];
   }
 
+  // Priority 3: Fastest lap
+  if (isFastestLap(fastestLaps, runner)) {
+    return '⏱️';
+  }
+
   // No highlight
   return null;
 }
 
+// Function to add position, award and eligibility fields to one year's results
+// (in place), returning how many results were placed, excluded, unplaced
+// (non-finishers) and placed within a division
+function addYearPositionFields(yearResults, year, eligibility) {
+  const counts = { updated: 0, excluded: 0, nonFinishers: 0, divisionEntries: 0 };
+  const isEligible = runner => getIneligibleReason(runner, year, eligibility) === null;
+
+  // Only finishers are placed, and only runners count in the running positions.
+  // Medals are ranked among the eligible results only.
+  const finishers = yearResults.filter(isFinisher);
+  const runners = finishers.filter(isRunDivision);
+  const eligibleFinishers = finishers.filter(isEligible);
+  const eligibleRunners = eligibleFinishers.filter(isRunDivision);
+  const fastestLaps = getFastestLaps(eligibleRunners);
+
+  // Add position fields to each runner
+  yearResults.forEach(runner => {
+    // Mark results excluded from records and awards
+    const ineligibleReason = getIneligibleReason(runner, year, eligibility);
+    delete runner.record_eligible;
+    delete runner.ineligible_reason;
+    if (ineligibleReason) {
+      runner.record_eligible = false;
+      runner.ineligible_reason = ineligibleReason;
+      counts.excluded++;
+    }
+
+    if (!runner.runner_id) return;
+
+    // Flag the fastest lap (removed if it has moved, e.g. after a time correction)
+    delete runner.fastest_lap;
+    delete runner.division_position;
+
+    // Non-finishers aren't placed and get no awards
+    if (!isFinisher(runner)) {
+      runner.category_position = null;
+      runner.gender_position = null;
+      runner.awards = [];
+      runner.highlight = null;
+      counts.nonFinishers++;
+      return;
+    }
+
+    // Walk, buggy and wheelchair entries are placed (and get medals) within their division only
+    if (!isRunDivision(runner)) {
+      const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+      const divisionPosition = getDivisionPosition(finishers, runner);
+      const medal = ineligibleReason ? null : medals[getDivisionPosition(eligibleFinishers, runner)] || null;
+      runner.category_position = null;
+      runner.gender_position = null;
+      runner.division_position = divisionPosition;
+      runner.awards = medal ? [`${medal} ${DIVISIONS[getDivision(runner)]}`] : [];
+      runner.highlight = medal;
+      counts.divisionEntries++;
+      return;
+    }
+
+    // Calculate positions
+    runner.category_position = getCategoryPosition(runners, runner);
+    runner.gender_position = getGenderPosition(runners, runner);
+
+    // Calculate awards
+    runner.awards = ineligibleReason ? [] : getAwards(eligibleRunners, runner, fastestLaps);
+
+    // Calculate highlight (single emoji for mobile)
+    runner.highlight = ineligibleReason ? null : getHighlight(eligibleRunners, runner, fastestLaps);
+
+    if (isFastestLap(fastestLaps, runner)) {
+      runner.fastest_lap = true;
+    }
+
+    counts.updated++;
+  });
+
+  return counts;
+}
+
 // Main function
 async function addPositionFields() {
   console.log('Adding position fields to yearly results...\n');
 
   // Get all JSON files in the results directory
-  const files = fs.readdirSync(resultsDir).filter(file => file.endsWith('.json'));
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  const eligibility = loadRecordEligibility();
 
   let totalUpdated = 0;
+  let totalExcluded = 0;
+  let totalNonFinishers = 0;
+  let totalDivisionEntries = 0;
 
   // Process each year's results
   for (const file of files) {
@@ -136,22 +267,11 @@ async function addPositionFields() {
 
     const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
 
-    // Add position fields to each runner
-    yearResults.forEach(runner => {
-      if (!runner.runner_id) return;
-
-      // Calculate positions
-      runner.category_position = getCategoryPosition(yearResults, runner);
-      runner.gender_position = getGenderPosition(yearResults, runner);
-
-      // Calculate awards
-      runner.awards = getAwards(yearResults, runner);
-
-      // Calculate highlight (single emoji for mobile)
-      runner.highlight = getHighlight(yearResults, runner);
-
-      totalUpdated++;
-    });
+    const counts = addYearPositionFields(yearResults, year, eligibility);
+    totalUpdated += counts.updated;
+    totalExcluded += counts.excluded;
+    totalNonFinishers += counts.nonFinishers;
+    totalDivisionEntries += counts.divisionEntries;
 
     // Write updated results back to file
     fs.writeFileSync(filePath, JSON.stringify(yearResults, null, 2));
@@ -159,10 +279,17 @@ async function addPositionFields() {
   }
 
   console.log(`\n✓ Successfully updated ${totalUpdated} results across ${files.length} years`);
+  console.log(`  ${totalExcluded} results marked as not record-eligible (data/record-eligibility.json)`);
+  console.log(`  ${totalNonFinishers} non-finishers (DNF, DQ or NT) left unplaced`);
+  console.log(`  ${totalDivisionEntries} walk, buggy and wheelchair results placed within their division`);
 }
 
 // Run the script
-addPositionFields().catch(error => {
-  console.error('Error:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  addPositionFields().catch(error => {
+    console.error('Error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { addYearPositionFields };
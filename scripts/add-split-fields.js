@@ -0,0 +1,194 @@
+/**
+ * Script to add split analysis fields to yearly results
+ *
+ * Years 2010-2014 carry "2 Miles" splits and most years carry "Lap of Lough"
+ * splits. Both are times from the start to a point on the course. For every
+ * result with at least one split, this script adds:
+ * - lap_of_lough_rank / two_miles_rank: Rank of the split time within the year
+ * - lap_of_lough_remaining / two_miles_remaining: Time taken from the split to the finish
+ * - segment_paces: Pace per mile for each segment, keyed by where the segment ends
+ *   (e.g. { lap_of_lough, two_miles, finish } for start -> lap -> 2 miles -> finish)
+ * - split_type: "positive" (slower over the last segment than the first),
+ *   "negative" (faster) or "even"
+ *
+ * Paces are only as accurate as the checkpoint distances in SPLIT_POINTS.
+ * Non-finishers (status DNF, DQ or NT - see result-status.js) aren't analysed
+ * or ranked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isFinisher } = require('./result-status');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+
+// Race distance in miles
+const RACE_DISTANCE_MILES = 5;
+
+// Split fields and their (approximate) distance from the start in miles.
+// The lap of the lough finishes roughly 1.25 miles in; update this if the
+// course is re-measured.
+const SPLIT_POINTS = [
+  { field: 'Lap of Lough', key: 'lap_of_lough', miles: 1.25 },
+  { field: '2 Miles', key: 'two_miles', miles: 2 }
+];
+
+// Function to convert time string to seconds for comparisons
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to convert seconds back to time string in H:MM:SS format
+function secondsToTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.round(seconds % 60);
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to format a pace (seconds per mile) as M:SS
+function formatPace(secondsPerMile) {
+  const rounded = Math.round(secondsPerMile);
+  const minutes = Math.floor(rounded / 60);
+  const secs = rounded % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to get a valid time in seconds for a field (null if missing or unparseable)
+function getSeconds(runner, field) {
+  const seconds = timeToSeconds(runner[field]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+// Function to rank every runner's time at each split point (equal times share a rank)
+function getSplitRanks(yearResults) {
+  const ranks = {};
+
+  SPLIT_POINTS.forEach(point => {
+    const times = yearResults
+      .map(runner => getSeconds(runner, point.field))
+      .filter(seconds => seconds !== null)
+      .sort((a, b) => a - b);
+
+    // time in seconds -> rank (1 + number of strictly faster times)
+    const rankByTime = new Map();
+    times.forEach((seconds, index) => {
+      if (!rankByTime.has(seconds)) {
+        rankByTime.set(seconds, index + 1);
+      }
+    });
+
+    ranks[point.key] = rankByTime;
+  });
+
+  return ranks;
+}
+
+// Split fields written by this script (cleared before recomputing)
+const SPLIT_FIELDS = [
+  ...SPLIT_POINTS.flatMap(point => [`${point.key}_rank`, `${point.key}_remaining`]),
+  'segment_paces',
+  'split_type'
+];
+
+// Function to build the split analysis fields for a single runner
+function getSplitAnalysis(runner, splitRanks) {
+  const finishSeconds = getSeconds(runner, 'Chip Time');
+  if (finishSeconds === null) return null;
+
+  // Checkpoints this runner has, in course order
+  const checkpoints = SPLIT_POINTS
+    .map(point => ({ point, seconds: getSeconds(runner, point.field) }))
+    .filter(checkpoint => checkpoint.seconds !== null && checkpoint.seconds < finishSeconds)
+    .sort((a, b) => a.point.miles - b.point.miles);
+
+  if (checkpoints.length === 0) return null;
+
+  const fields = {};
+  checkpoints.forEach(checkpoint => {
+    fields[`${checkpoint.point.key}_rank`] = splitRanks[checkpoint.point.key].get(checkpoint.seconds);
+    fields[`${checkpoint.point.key}_remaining`] = secondsToTime(finishSeconds - checkpoint.seconds);
+  });
+
+  // Pace per mile for each segment between consecutive checkpoints, ending at the finish
+  const paces = [];
+  let previous = { seconds: 0, miles: 0 };
+  const stops = [
+    ...checkpoints.map(checkpoint => ({ key: checkpoint.point.key, seconds: checkpoint.seconds, miles: checkpoint.point.miles })),
+    { key: 'finish', seconds: finishSeconds, miles: RACE_DISTANCE_MILES }
+  ];
+
+  fields.segment_paces = {};
+  for (const stop of stops) {
+    const pace = (stop.seconds - previous.seconds) / (stop.miles - previous.miles);
+    paces.push(pace);
+    fields.segment_paces[stop.key] = formatPace(pace);
+    previous = stop;
+  }
+
+  // Positive split: the last segment is slower per mile than the first
+  const paceDifference = Math.round(paces[paces.length - 1]) - Math.round(paces[0]);
+  fields.split_type = 'even';
+  if (paceDifference > 0) fields.split_type = 'positive';
+  if (paceDifference < 0) fields.split_type = 'negative';
+
+  return fields;
+}
+
+// Main function
+async function addSplitFields() {
+  console.log('Adding split analysis fields to yearly results...\n');
+
+  // Get all yearly results files in the results directory
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  let totalUpdated = 0;
+
+  // Process each year's results
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const filePath = path.join(resultsDir, file);
+
+    const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const splitRanks = getSplitRanks(yearResults.filter(isFinisher));
+
+    let yearUpdated = 0;
+
+    yearResults.forEach(runner => {
+      // Remove stale analysis (e.g. if split times have been removed)
+      SPLIT_FIELDS.forEach(field => delete runner[field]);
+      if (!isFinisher(runner)) return;
+
+      const splitFields = getSplitAnalysis(runner, splitRanks);
+      if (splitFields) {
+        Object.assign(runner, splitFields);
+        yearUpdated++;
+      }
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify(yearResults, null, 2));
+    console.log(`Processing ${year} results... ${yearUpdated} of ${yearResults.length} with splits`);
+    totalUpdated += yearUpdated;
+  }
+
+  console.log(`\n✓ Successfully added split analysis to ${totalUpdated} results across ${files.length} years`);
+}
+
+// Run the script
+addSplitFields().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
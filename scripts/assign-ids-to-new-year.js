@@ -1,11 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { loadClubAliases, getCanonicalClub, getClubKey } = require('./club-aliases');
+const { getGender } = require('./genders');
+const { loadEvents, getEvent, getEventResultsDir, getEventYearFiles } = require('./events');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const RESULTS_DIR = path.join(__dirname, '..', 'assets', 'results');
 const TEMP_DIR = path.join(__dirname, '..', 'temp');
 const WARNINGS_FILE = path.join(TEMP_DIR, 'runner-database-warnings.json');
 const DATA_DIR = path.join(__dirname, '..', 'data');
@@ -15,12 +17,18 @@ const DEFAULT_AUTO_THRESHOLD = 0.92;
 const WARNING_THRESHOLD = 0.85;
 const TIME_VARIANCE_THRESHOLD = 0.40;
 
+// Added to the name similarity when the result's club (after applying
+// data/club-aliases.json) matches a club the runner has raced for before.
+// It only ranks candidates against each other: whether a match is
+// auto-assigned still depends on name similarity alone.
+const CLUB_MATCH_BONUS = 0.03;
+
 // Parse command-line arguments
 const args = process.argv.slice(2);
 const targetYear = parseInt(args.find(arg => !arg.startsWith('--')), 10);
 
 if (!targetYear || isNaN(targetYear)) {
-  console.error('Usage: node assign-ids-to-new-year.js YEAR [--dry-run] [--verbose] [--confidence=0.92]');
+  console.error('Usage: node assign-ids-to-new-year.js YEAR [--dry-run] [--verbose] [--confidence=0.92] [--event=fun-run]');
   console.error('Example: node assign-ids-to-new-year.js 2025 --dry-run');
   process.exit(1);
 }
@@ -28,9 +36,23 @@ if (!targetYear || isNaN(targetYear)) {
 const options = {
   dryRun: args.includes('--dry-run'),
   verbose: args.includes('--verbose'),
-  confidence: parseFloat(args.find(arg => arg.startsWith('--confidence='))?.split('=')[1] || DEFAULT_AUTO_THRESHOLD)
+  confidence: parseFloat(args.find(arg => arg.startsWith('--confidence='))?.split('=')[1] || DEFAULT_AUTO_THRESHOLD),
+  event: args.find(arg => arg.startsWith('--event='))?.split('=')[1]
 };
 
+// Events (data/events.json). Results are matched against the target event's
+// earlier years and every year of the other events, so a child moving up from
+// the fun run to the 5 mile keeps their runner_id.
+const eventRegistry = loadEvents();
+let targetEvent;
+try {
+  targetEvent = options.event ? getEvent(eventRegistry, options.event) : eventRegistry.defaultEvent;
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const targetResultsDir = getEventResultsDir(targetEvent);
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -96,14 +118,6 @@ function firstNameMatches(name1, name2) {
   return first1 === first2;
 }
 
-function getGender(category) {
-  if (!category) return null;
-  const upper = category.toUpperCase();
-  if (upper.startsWith('M')) return 'M';
-  if (upper.startsWith('F')) return 'F';
-  return null;
-}
-
 function timeToSeconds(timeStr) {
   if (!timeStr) return null;
   const cleaned = timeStr.replace(/[,\.]/g, ':').trim();
@@ -179,7 +193,9 @@ function loadNameChanges() {
 }
 
 function loadDisambiguation(year) {
-  const disambiguationFile = path.join(DATA_DIR, `${year}-disambiguation.json`);
+  // Other events' files are prefixed with the event, e.g. fun-run-2025-disambiguation.json
+  const prefix = targetEvent.isDefault ? '' : `${targetEvent.id}-`;
+  const disambiguationFile = path.join(DATA_DIR, `${prefix}${year}-disambiguation.json`);
 
   if (!fs.existsSync(disambiguationFile)) {
     console.log(`  No disambiguation file found for ${year} (this is optional)`);
@@ -214,25 +230,23 @@ function loadReferenceData() {
   const runnerGroups = {}; // runner_id -> array of results
   const existingIds = new Set();
 
-  const files = fs.readdirSync(RESULTS_DIR)
-    .filter(f => f.endsWith('.json'))
-    .filter(f => parseInt(f.replace('.json', ''), 10) < targetYear)
-    .sort();
+  for (const event of eventRegistry.events) {
+    const files = getEventYearFiles(event)
+      .filter(({ year }) => event.id !== targetEvent.id || year < targetYear);
 
-  for (const file of files) {
-    const year = parseInt(file.replace('.json', ''), 10);
-    const filePath = path.join(RESULTS_DIR, file);
-    const results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const { year, filePath } of files) {
+      const results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
 
-    console.log(`  ${year}: ${results.length} results`);
+      console.log(`  ${year}${event.isDefault ? '' : ` (${event.name})`}: ${results.length} results`);
 
-    for (const result of results) {
-      if (result.runner_id) {
-        existingIds.add(result.runner_id);
-        if (!runnerGroups[result.runner_id]) {
-          runnerGroups[result.runner_id] = [];
+      for (const result of results) {
+        if (result.runner_id) {
+          existingIds.add(result.runner_id);
+          if (!runnerGroups[result.runner_id]) {
+            runnerGroups[result.runner_id] = [];
+          }
+          runnerGroups[result.runner_id].push({ ...result, year, event: event.id });
         }
-        runnerGroups[result.runner_id].push({ ...result, year });
       }
     }
   }
@@ -244,8 +258,8 @@ function loadReferenceData() {
 }
 
 function loadTargetYear() {
-  console.log(`\nLoading target year ${targetYear}...`);
-  const filePath = path.join(RESULTS_DIR, `${targetYear}.json`);
+  console.log(`\nLoading target year ${targetYear} (${targetEvent.name})...`);
+  const filePath = path.join(targetResultsDir, `${targetYear}.json`);
 
   if (!fs.existsSync(filePath)) {
     console.error(`  ✗ File not found: ${filePath}`);
@@ -263,7 +277,27 @@ function loadTargetYear() {
   return results;
 }
 
-function findBestMatch(result, runnerGroups, nameChanges) {
+function clubsMatch(result, group, clubAliases) {
+  const resultClub = getClubKey(getCanonicalClub(result.Club, clubAliases));
+  if (!resultClub) return false;
+
+  return group.some(r => getClubKey(getCanonicalClub(r.Club, clubAliases)) === resultClub);
+}
+
+// Results to check a new time against: the runner's last 5 appearances in the
+// last 5 years, or all of them if none are that recent. Only the target event's
+// results count (fun run and 5 mile times can't be compared), so a runner
+// who has only raced other events passes the time check.
+function getTimeCheckResults(group) {
+  const sameEvent = group.filter(r => r.event === targetEvent.id);
+  const recentResults = sameEvent
+    .filter(r => r.year && (targetYear - r.year) <= 5)
+    .slice(-5);
+
+  return recentResults.length > 0 ? recentResults : sameEvent;
+}
+
+function findBestMatch(result, runnerGroups, nameChanges, clubAliases) {
   let bestMatch = null;
   let bestScore = 0;
 
@@ -288,12 +322,7 @@ function findBestMatch(result, runnerGroups, nameChanges) {
 
           // Check time consistency - prefer recent years (last 5 years)
           let timeConsistent = true;
-          const recentResults = group
-            .filter(r => r.year && (targetYear - r.year) <= 5)
-            .slice(-5);
-
-          // If no recent results, fall back to checking all historical results
-          const resultsToCheck = recentResults.length > 0 ? recentResults : group;
+          const resultsToCheck = getTimeCheckResults(group);
 
           for (const groupResult of resultsToCheck) {
             if (groupResult['Chip Time'] && result['Chip Time']) {
@@ -341,12 +370,7 @@ function findBestMatch(result, runnerGroups, nameChanges) {
     // Check time consistency with group - prefer recent years (last 5 years)
     // Runners naturally improve or slow down over long periods
     let timeConsistent = true;
-    const recentResults = group
-      .filter(r => r.year && (targetYear - r.year) <= 5)
-      .slice(-5); // Last 5 appearances
-
-    // If no recent results, fall back to checking all historical results
-    const resultsToCheck = recentResults.length > 0 ? recentResults : group;
+    const resultsToCheck = getTimeCheckResults(group);
 
     for (const groupResult of resultsToCheck) {
       if (groupResult['Chip Time'] && result['Chip Time']) {
@@ -358,16 +382,27 @@ function findBestMatch(result, runnerGroups, nameChanges) {
     }
     if (!timeConsistent) continue;
 
-    if (bestSimilarityForRunner > bestScore) {
-      bestScore = bestSimilarityForRunner;
-      bestMatch = { runnerId, confidence: bestSimilarityForRunner };
+    // A runner only seen in other events (e.g. a fun run child now running
+    // the 5 mile) has no times to check against, so always review the match
+    const confidence = resultsToCheck.length === 0
+      ? Math.min(bestSimilarityForRunner, WARNING_THRESHOLD)
+      : bestSimilarityForRunner;
+
+    // Same club as a previous result makes this runner the more likely of
+    // two similar candidates (but doesn't raise the confidence)
+    const clubMatch = clubsMatch(result, group, clubAliases);
+    const score = clubMatch ? confidence + CLUB_MATCH_BONUS : confidence;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatch = { runnerId, confidence, clubMatch };
     }
   }
 
   return bestMatch;
 }
 
-function assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameChanges, disambiguation, options) {
+function assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameChanges, disambiguation, clubAliases, options) {
   console.log(`\nAssigning runner IDs to ${targetYear}...\n`);
 
   const stats = {
@@ -401,7 +436,7 @@ function assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameCh
       continue;
     }
 
-    const match = findBestMatch(result, runnerGroups, nameChanges);
+    const match = findBestMatch(result, runnerGroups, nameChanges, clubAliases);
 
     if (match && match.confidence >= options.confidence) {
       // Auto-assign to existing runner
@@ -414,14 +449,15 @@ function assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameCh
           console.log(`  ✓ ${result.Name} → ${match.runnerId} (known name change)`);
         }
       } else if (options.verbose) {
-        console.log(`  ✓ ${result.Name} → ${match.runnerId} (${(match.confidence * 100).toFixed(1)}%)`);
+        console.log(`  ✓ ${result.Name} → ${match.runnerId} (${(match.confidence * 100).toFixed(1)}%${match.clubMatch ? ', same club' : ''})`);
       }
     } else if (match && match.confidence >= WARNING_THRESHOLD) {
       // Uncertain match - needs manual review
       stats.warnings.push({
         result: { year: targetYear, position: result.Position, name: result.Name },
         suggested_id: match.runnerId,
-        confidence: match.confidence
+        confidence: match.confidence,
+        club_match: match.clubMatch
       });
       stillUnassigned.push(result);
       stats.needsReview++;
@@ -486,7 +522,7 @@ function assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameCh
   const newRunners = [];
   for (const result of stillUnassigned) {
     if (!inDuplicatePair.has(result.Position)) {
-      const newId = generateRunnerId(result.Name, existingIds, result.Club);
+      const newId = generateRunnerId(result.Name, existingIds, getCanonicalClub(result.Club, clubAliases));
       result.runner_id = newId;
       existingIds.add(newId);
       newRunners.push({ id: newId, name: result.Name });
@@ -514,7 +550,7 @@ function writeResults(targetYearResults, stats, options) {
     console.log('\n⚠️  DRY RUN - No files will be written');
   } else {
     console.log(`\nWriting results to ${targetYear}.json...`);
-    const filePath = path.join(RESULTS_DIR, `${targetYear}.json`);
+    const filePath = path.join(targetResultsDir, `${targetYear}.json`);
     fs.writeFileSync(filePath, JSON.stringify(targetYearResults, null, 2));
 
     const assigned = targetYearResults.filter(r => r.runner_id).length;
@@ -526,6 +562,7 @@ function writeResults(targetYearResults, stats, options) {
   // Write warnings file
   const warnings = {
     target_year: targetYear,
+    target_event: targetEvent.id,
     uncertain_matches: stats.warnings,
     duplicates_in_new_year: stats.duplicatesInNewYear,
     summary: {
@@ -551,6 +588,7 @@ function main() {
   console.log(`Assign Runner IDs to ${targetYear}`);
   console.log('========================================\n');
   console.log(`Target year: ${targetYear}`);
+  console.log(`Event: ${targetEvent.name}`);
   console.log(`Auto-assign threshold: ${options.confidence}`);
   console.log(`Warning threshold: ${WARNING_THRESHOLD}`);
   console.log(`Dry run: ${options.dryRun}\n`);
@@ -561,6 +599,10 @@ function main() {
   // Load disambiguation decisions (if any)
   const disambiguation = loadDisambiguation(targetYear);
 
+  // Load club aliases (canonical club names)
+  const clubAliases = loadClubAliases();
+  console.log(`  Loaded ${new Set(clubAliases.values()).size} club(s) from club-aliases.json`);
+
   // Load reference data (all previous years, read-only)
   const { runnerGroups, existingIds } = loadReferenceData();
 
@@ -568,7 +610,7 @@ function main() {
   const targetYearResults = loadTargetYear();
 
   // Assign IDs
-  const stats = assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameChanges, disambiguation, options);
+  const stats = assignIdsToNewYear(targetYearResults, runnerGroups, existingIds, nameChanges, disambiguation, clubAliases, options);
 
   // Write results
   writeResults(targetYearResults, stats, options);
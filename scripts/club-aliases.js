@@ -0,0 +1,58 @@
+/**
+ * Club alias registry helpers (data/club-aliases.json)
+ *
+ * The registry maps each club's canonical name to the other spellings it has
+ * appeared under in results, e.g.
+ *
+ *   { "Omagh Harriers": ["Omagh H", "Omagh"] }
+ *
+ * Names are matched on their slug (see clubs.js), which ignores case, accents
+ * and punctuation, so "omagh harriers" and "Omagh Harriers." both resolve
+ * without being listed.
+ * Club names that aren't in the registry are returned trimmed but otherwise
+ * unchanged.
+ *
+ * Used by csv-to-json.js, assign-ids-to-new-year.js, generate-runner-database.js,
+ * generate-team-results.js and generate-club-stats.js. Use
+ * propose-club-aliases.js to find new aliases.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClubKey } = require('./clubs');
+
+const CLUB_ALIASES_FILE = path.join(__dirname, '..', 'data', 'club-aliases.json');
+
+// Function to load the registry as a Map of club key -> canonical name.
+// Throws if the same spelling is listed under two different clubs.
+function loadClubAliases(filePath = CLUB_ALIASES_FILE) {
+  const aliases = new Map();
+  if (!fs.existsSync(filePath)) return aliases;
+
+  const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  for (const [canonical, names] of Object.entries(registry)) {
+    for (const name of [canonical, ...names]) {
+      const key = getClubKey(name);
+      if (!key) continue;
+
+      const existing = aliases.get(key);
+      if (existing && existing !== canonical) {
+        throw new Error(`Club alias "${name}" is listed under both "${existing}" and "${canonical}" in ${path.basename(filePath)}`);
+      }
+      aliases.set(key, canonical);
+    }
+  }
+
+  return aliases;
+}
+
+// Function to get the canonical name for a club (empty string if no club given)
+function getCanonicalClub(club, aliases) {
+  if (!club || typeof club !== 'string') return '';
+
+  const trimmed = club.trim().replace(/\s+/g, ' ');
+  return aliases.get(getClubKey(trimmed)) || trimmed;
+}
+
+module.exports = { CLUB_ALIASES_FILE, getClubKey, loadClubAliases, getCanonicalClub };
@@ -0,0 +1,41 @@
+/**
+ * Club ID helpers
+ *
+ * A club's ID is a slug of its name: lowercase, no accents or apostrophes,
+ * other punctuation and whitespace collapsed to single dashes, so
+ * "Keep 'er Lit" and "keep er lit" are both keep-er-lit. Names that mean "no
+ * club" (N/A, None, Unattached...) have no ID.
+ *
+ * The website works out the same IDs to link club names to their pages (see
+ * src/js/clubs.js).
+ *
+ * Used by club-aliases.js, which matches names on the same slug, and
+ * generate-club-stats.js.
+ */
+
+// Club names that mean "no club" (by club ID)
+const NON_CLUB_IDS = ['na', 'n-a', 'none', 'unattached', 'no-club'];
+
+// Function to get the slug for a club name ('' if there is no name)
+function getClubKey(club) {
+  if (!club || typeof club !== 'string') return '';
+
+  return club.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Function to get the club ID for a club name, or null if it isn't a club
+function getClubId(club) {
+  const id = getClubKey(club);
+  if (!id || NON_CLUB_IDS.includes(id)) return null;
+  return id;
+}
+
+module.exports = {
+  NON_CLUB_IDS,
+  getClubKey,
+  getClubId
+};
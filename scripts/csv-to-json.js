@@ -3,17 +3,30 @@
  * Convert race results CSV to JSON array matching the field names used in 2025.json.
  *
  * Usage:
- *   node csv-to-json.js input.csv [output.json] [--pretty] [--verbose]
+ *   node csv-to-json.js input.csv [output.json] [--pretty] [--verbose] [--event=fun-run]
  *
  * Notes:
  * - Output is a top-level JSON array.
  * - Missing/blank values are omitted (field not present).
  * - Name is converted from "Lastname, Firstname" -> "Firstname Lastname".
  * - Includes a HEADER_ALIASES map so you can tweak headings easily if this year's CSV differs.
+ * - Club names are replaced with their canonical name from data/club-aliases.json.
+ * - Categories must be standard (M, F or X for non-binary - see genders.js) or
+ *   have an entry in CATEGORY_ALIASES. Events without standard_categories in
+ *   data/events.json (e.g. --event=fun-run) keep the export's categories.
+ * - Non-finishers get a "status" (DNF, DQ or NT - see result-status.js), from a
+ *   Status column or "DNF"/"DQ"/"DSQ" written in the Position or time column,
+ *   and no Position. Finishers have no status field.
+ * - Walk, buggy and wheelchair entries get a "division" (see divisions.js), from
+ *   a Division column or a WALK/BUGGY/WCH category. Runners have no division field.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { loadClubAliases, getCanonicalClub } = require("./club-aliases");
+const { normalizeStatus } = require("./result-status");
+const { normalizeDivision, DIVISION_CATEGORIES } = require("./divisions");
+const { loadEvents, getEvent } = require("./events");
 
 // ---- 1) EDITABLE: map output field -> possible CSV header names ----
 // If this year's CSV uses different column names, add them here.
@@ -34,12 +47,21 @@ const HEADER_ALIASES = {
   "Chip Time": ["Chip Time", "ChipTime", "Net Time", "NetTime", "Time", "Result", "Chip"],
 
   "Gun Time": ["Gun Time", "GunTime", "Gross Time", "GrossTime", "Gun"],
+
+  // Optional column (DNF / DQ / NT for non-finishers)
+  "status": ["Status", "Result Status", "Finish Status"],
+
+  // Optional column (walk / buggy / wheelchair entries)
+  "division": ["Division", "Entry Type", "Participant Type"],
 };
 
 // ---- Standard categories (canonical format) ----
 const STANDARD_CATEGORIES = [
   "MU19", "MO", "M35", "M40", "M45", "M50", "M55", "M60", "M65", "M70", "M75", "M80", "M85", "M90",
   "FU19", "FO", "F35", "F40", "F45", "F50", "F55", "F60", "F65", "F70", "F75", "F80", "F85", "F90",
+  "XU19", "XO", "X35", "X40", "X45", "X50", "X55", "X60", "X65", "X70", "X75", "X80", "X85", "X90",
+  // Division categories, for walk, buggy and wheelchair entries without an age category
+  "WALK", "BUGGY", "WCH",
 ];
 
 // ---- Category aliases: map non-standard formats to standard categories ----
@@ -164,6 +186,55 @@ const CATEGORY_ALIASES = {
   "Women 80": "F80",
   "Women 85": "F85",
   "Women 90": "F90",
+
+  // Division variants
+  "Walk": "WALK",
+  "Walker": "WALK",
+  "Walkers": "WALK",
+  "Buggy": "BUGGY",
+  "Buggy Runner": "BUGGY",
+  "Wheelchair": "WCH",
+  "W/Chair": "WCH",
+  "Male W/Chair": "WCH",
+  "Female W/Chair": "WCH",
+
+  // Non-binary variants
+  "X": "XO",
+  "NB": "XO",
+  "Non-binary": "XO",
+  "Non-Binary": "XO",
+  "Non-binary Open": "XO",
+  "Non-Binary Open": "XO",
+  "Non-binary U19": "XU19",
+  "Non-Binary U19": "XU19",
+  "Non-binary Under 19": "XU19",
+  "Non-Binary Under 19": "XU19",
+  "Non-binary Junior": "XU19",
+  "Non-Binary Junior": "XU19",
+  "Non-binary 35": "X35",
+  "Non-binary 40": "X40",
+  "Non-binary 45": "X45",
+  "Non-binary 50": "X50",
+  "Non-binary 55": "X55",
+  "Non-binary 60": "X60",
+  "Non-binary 65": "X65",
+  "Non-binary 70": "X70",
+  "Non-binary 75": "X75",
+  "Non-binary 80": "X80",
+  "Non-binary 85": "X85",
+  "Non-binary 90": "X90",
+  "Non-Binary 35": "X35",
+  "Non-Binary 40": "X40",
+  "Non-Binary 45": "X45",
+  "Non-Binary 50": "X50",
+  "Non-Binary 55": "X55",
+  "Non-Binary 60": "X60",
+  "Non-Binary 65": "X65",
+  "Non-Binary 70": "X70",
+  "Non-Binary 75": "X75",
+  "Non-Binary 80": "X80",
+  "Non-Binary 85": "X85",
+  "Non-Binary 90": "X90",
 };
 
 // Output field order (for nicer JSON diffs / readability)
@@ -176,6 +247,8 @@ const OUTPUT_FIELDS = [
   "Lap of Lough",
   "Chip Time",
   "Gun Time",
+  "status",
+  "division",
 ];
 
 // ---- 2) Small CSV parser (handles quotes & commas in quoted fields) ----
@@ -287,6 +360,12 @@ function cleanValue(v) {
   return s;
 }
 
+function normalizeClub(v, clubAliases) {
+  const s = cleanValue(v);
+  if (s === undefined) return undefined;
+  return getCanonicalClub(s, clubAliases);
+}
+
 function normalizeInt(v) {
   const s = cleanValue(v);
   if (!s) return undefined;
@@ -389,8 +468,33 @@ function normalizeCategory(v) {
   );
 }
 
+// Status for a Status column value ("FIN" for a finisher). Throws if unrecognized.
+function normalizeStatusValue(v) {
+  const s = cleanValue(v);
+  if (!s) return undefined;
+  return normalizeStatus(s);
+}
+
+// Status written in a Position or time column instead of a number (e.g. "DNF")
+function findStatusInCell(v) {
+  const s = cleanValue(v);
+  if (!s || /\d/.test(s)) return undefined;
+  try {
+    return normalizeStatus(s) || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Division for a Division column value ("run" for the road race). Throws if unrecognized.
+function normalizeDivisionValue(v) {
+  const s = cleanValue(v);
+  if (!s) return undefined;
+  return normalizeDivision(s);
+}
+
 // ---- 4) Conversion ----
-function convertCsvToJsonArray(csvText, { verbose = false } = {}) {
+function convertCsvToJsonArray(csvText, { verbose = false, clubAliases = loadClubAliases(), standardCategories = true } = {}) {
   const { headers, dataRows } = parseCsv(csvText);
   if (!headers.length) throw new Error("CSV appears to have no header row.");
 
@@ -424,14 +528,29 @@ function convertCsvToJsonArray(csvText, { verbose = false } = {}) {
       let value;
       if (field === "Position" || field === "Bib no.") value = normalizeInt(raw);
       else if (field === "Name") value = normalizeName(raw);
-      else if (field === "Category") value = normalizeCategory(raw);
+      else if (field === "Category") value = standardCategories ? normalizeCategory(raw) : cleanValue(raw);
+      else if (field === "Club") value = normalizeClub(raw, clubAliases);
       else if (field === "Chip Time" || field === "Gun Time" || field === "Lap of Lough")
-        value = normalizeTime(raw);
+        value = findStatusInCell(raw) ? undefined : normalizeTime(raw);
+      else if (field === "status")
+        value = normalizeStatusValue(raw)
+          || findStatusInCell(getCell(row, "Position"))
+          || findStatusInCell(getCell(row, "Chip Time"));
+      else if (field === "division")
+        value = normalizeDivisionValue(raw)
+          || (standardCategories ? DIVISION_CATEGORIES[normalizeCategory(getCell(row, "Category"))] : undefined);
       else value = cleanValue(raw);
 
       if (value !== undefined) obj[field] = value;
     }
 
+    // Finishers have no status field, and non-finishers have no position
+    if (obj.status === "FIN") delete obj.status;
+    if (obj.status) delete obj.Position;
+
+    // Runners have no division field
+    if (obj.division === "run") delete obj.division;
+
     // Skip completely empty rows
     if (Object.keys(obj).length === 0) continue;
 
@@ -449,28 +568,33 @@ function main() {
   const args = process.argv.slice(2);
   const pretty = args.includes("--pretty") || args.includes("-p");
   const verbose = args.includes("--verbose") || args.includes("-v");
+  const eventId = args.find((a) => a.startsWith("--event="))?.split("=")[1];
 
   const files = args.filter((a) => !a.startsWith("-"));
   const inPath = files[0];
   let outPath = files[1];
 
   if (!inPath) {
-    console.error("Usage: node csv-to-json.js input.csv [output.json] [--pretty] [--verbose]");
+    console.error("Usage: node csv-to-json.js input.csv [output.json] [--pretty] [--verbose] [--event=fun-run]");
     process.exit(1);
   }
 
+  // The event the results are for (data/events.json), the main race by default
+  const events = loadEvents();
+  const event = eventId ? getEvent(events, eventId) : events.defaultEvent;
+
   if (!outPath) {
     const ext = path.extname(inPath);
     outPath = inPath.slice(0, ext.length ? -ext.length : undefined) + ".json";
   }
 
   const csvText = fs.readFileSync(inPath, "utf8");
-  const arr = convertCsvToJsonArray(csvText, { verbose });
+  const arr = convertCsvToJsonArray(csvText, { verbose, standardCategories: event.standard_categories });
 
   const jsonText = JSON.stringify(arr, null, pretty ? 2 : 0) + "\n";
   fs.writeFileSync(outPath, jsonText, "utf8");
 
-  console.error(`Wrote ${arr.length} records to ${outPath}`);
+  console.error(`Wrote ${arr.length} ${event.name} records to ${outPath}`);
 }
 
 if (require.main === module) main();
@@ -0,0 +1,76 @@
+/**
+ * Participation division helpers (the optional "division" field in yearly results)
+ *
+ * - run: The road race. This is the default, so runners don't have a division field
+ * - walk: The Lough 5 walk
+ * - buggy: Running with a buggy
+ * - wheelchair: Wheelchair athletes (category WCH)
+ *
+ * Walk, buggy and wheelchair entries are placed and given medals within their
+ * own division (division_position), and are left out of the running
+ * positions, podiums, fastest lap, age grades and records.
+ *
+ * Used by csv-to-json.js, add-position-fields.js, add-age-grades.js,
+ * add-history-fields.js and the record and stats generators.
+ */
+
+// Division codes and their names, in display order
+const DIVISIONS = {
+  run: 'Run',
+  walk: 'Walk',
+  buggy: 'Buggy',
+  wheelchair: 'Wheelchair'
+};
+
+// Other spellings seen in timing exports (compared in lower case)
+const DIVISION_ALIASES = {
+  runner: 'run',
+  race: 'run',
+  'road race': 'run',
+  walker: 'walk',
+  walkers: 'walk',
+  'buggy runner': 'buggy',
+  pushchair: 'buggy',
+  wch: 'wheelchair',
+  'wheelchair athlete': 'wheelchair'
+};
+
+// Categories that mean the entry is in a division (the division's category,
+// for entries that don't have an age category)
+const DIVISION_CATEGORIES = {
+  WALK: 'walk',
+  BUGGY: 'buggy',
+  WCH: 'wheelchair'
+};
+
+// Function to get the division code for a value, e.g. "Walker" -> "walk".
+// Returns null for a blank value and throws for anything unrecognised.
+function normalizeDivision(value) {
+  const lower = String(value ?? '').trim().toLowerCase();
+  if (!lower) return null;
+  if (DIVISIONS[lower]) return lower;
+  if (DIVISION_ALIASES[lower]) return DIVISION_ALIASES[lower];
+
+  throw new Error(
+    `Unrecognized division: "${value}"\n\n` +
+    `Use one of ${Object.keys(DIVISIONS).join(', ')} (or add a spelling to DIVISION_ALIASES in divisions.js)`
+  );
+}
+
+// Function to get a result's division code (run if it has no division field)
+function getDivision(runner) {
+  return runner.division || 'run';
+}
+
+// Function to check if a result is in the road race (the running division)
+function isRunDivision(runner) {
+  return getDivision(runner) === 'run';
+}
+
+module.exports = {
+  DIVISIONS,
+  DIVISION_CATEGORIES,
+  normalizeDivision,
+  getDivision,
+  isRunDivision
+};
@@ -0,0 +1,116 @@
+/**
+ * Edition registry helpers (data/editions.json)
+ *
+ * Facts about each year's race (edition) that aren't in the results:
+ *
+ *   {
+ *     "editions": [
+ *       {
+ *         "year": 2025,
+ *         "date": "2025-12-31",
+ *         "start_time": "12:00",
+ *         "course": "Lough loop",
+ *         "timing": "Chip timing",
+ *         "weather": "Dry, strong westerly wind",
+ *         "temperature_c": 6,
+ *         "notes": "..."
+ *       }
+ *     ]
+ *   }
+ *
+ * Only year is required - record what is known and leave the rest out.
+ * - date: YYYY-MM-DD, in the edition's year
+ * - start_time: 24-hour HH:MM
+ * - course: The course version, for years the course changed
+ * - timing: Who timed the race, and how
+ * - weather, temperature_c: Conditions on the day (temperature in °C)
+ * - notes: Anything else worth knowing when comparing times, e.g. 2020 was virtual
+ *
+ * Editions are for the main race (see events.js). Unknown fields are rejected
+ * so a typo doesn't silently drop a fact from the website.
+ *
+ * Used by generate-editions.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EDITIONS_FILE = path.join(__dirname, '..', 'data', 'editions.json');
+
+// Fields an edition can have, in the order they are published
+const EDITION_FIELDS = ['year', 'date', 'start_time', 'course', 'timing', 'weather', 'temperature_c', 'notes'];
+
+// Function to check an edition's fields, returning a list of problems
+function validateEdition(edition) {
+  const problems = [];
+
+  if (!Number.isInteger(edition.year)) {
+    problems.push('year must be a whole number, e.g. 2025');
+  }
+
+  Object.keys(edition)
+    .filter(field => !EDITION_FIELDS.includes(field))
+    .forEach(field => problems.push(`unknown field "${field}" (use ${EDITION_FIELDS.join(', ')})`));
+
+  if (edition.date !== undefined) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(edition.date);
+    const date = match && new Date(`${edition.date}T00:00:00Z`);
+    if (!match || isNaN(date) || date.toISOString().slice(0, 10) !== edition.date) {
+      problems.push(`date "${edition.date}" must be a YYYY-MM-DD date`);
+    } else if (parseInt(match[1]) !== edition.year) {
+      problems.push(`date "${edition.date}" isn't in ${edition.year}`);
+    }
+  }
+
+  if (edition.start_time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(edition.start_time)) {
+    problems.push(`start_time "${edition.start_time}" must be a 24-hour HH:MM time`);
+  }
+
+  if (edition.temperature_c !== undefined && typeof edition.temperature_c !== 'number') {
+    problems.push('temperature_c must be a number');
+  }
+
+  ['course', 'timing', 'weather', 'notes'].forEach(field => {
+    if (edition[field] !== undefined && (typeof edition[field] !== 'string' || !edition[field].trim())) {
+      problems.push(`${field} must be non-empty text`);
+    }
+  });
+
+  return problems;
+}
+
+// Function to load the registry, oldest edition first, with fields in
+// EDITION_FIELDS order. Without a registry file there are no editions.
+// Throws if any edition is invalid.
+function loadEditions(filePath = EDITIONS_FILE) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const filename = path.basename(filePath);
+  const years = new Set();
+  const errors = [];
+
+  (config.editions || []).forEach(edition => {
+    validateEdition(edition).forEach(problem => errors.push(`  ${edition.year || '?'}: ${problem}`));
+    if (years.has(edition.year)) {
+      errors.push(`  ${edition.year}: listed more than once`);
+    }
+    years.add(edition.year);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid editions in ${filename}:\n${errors.join('\n')}`);
+  }
+
+  return (config.editions || [])
+    .map(edition => Object.fromEntries(
+      EDITION_FIELDS.filter(field => edition[field] !== undefined).map(field => [field, edition[field]])
+    ))
+    .sort((a, b) => a.year - b.year);
+}
+
+module.exports = {
+  EDITION_FIELDS,
+  validateEdition,
+  loadEditions
+};
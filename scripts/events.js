@@ -0,0 +1,108 @@
+/**
+ * Event registry helpers (data/events.json)
+ *
+ * Race day has more than one event (the 5 Mile Race and the Kids Fun Run).
+ * The registry lists them:
+ *
+ *   {
+ *     "default_event": "5-mile",
+ *     "events": [
+ *       { "id": "5-mile", "name": "5 Mile Race", "distance": "5 mile", "standard_categories": true },
+ *       { "id": "fun-run", "name": "Kids Fun Run", "distance": "~1.7 mile", "standard_categories": false }
+ *     ]
+ *   }
+ *
+ * - default_event: The main race. Its results stay in assets/results/YYYY.json,
+ *   and it is the only event with positions, awards, age grades, teams and records
+ * - Other events' results are in assets/results/<id>/YYYY.json
+ * - standard_categories: Whether csv-to-json.js maps categories to the standard
+ *   ones (MU19, MO, M35 ...). Other events keep the categories from the export.
+ *
+ * Every event shares the one runner_id space, so a child who moves up from the
+ * fun run to the 5 mile keeps their runner_id.
+ *
+ * Used by csv-to-json.js, assign-ids-to-new-year.js, generate-runner-database.js,
+ * generate-runner-stats.js, generate-results-index.js and normalize-field-order.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENTS_FILE = path.join(__dirname, '..', 'data', 'events.json');
+const RESULTS_DIR = path.join(__dirname, '..', 'assets', 'results');
+
+// Event IDs are used as folder names and URL parameters
+const EVENT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Function to load the registry. Without a registry file there is just the
+// one event, with its results in assets/results. Throws if the registry is invalid.
+function loadEvents(filePath = EVENTS_FILE) {
+  if (!fs.existsSync(filePath)) {
+    const event = { id: 'race', name: 'Race', distance: '', standard_categories: true, isDefault: true };
+    return { defaultEvent: event, events: [event] };
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const filename = path.basename(filePath);
+  const ids = new Set();
+
+  const events = (config.events || []).map(entry => {
+    if (!entry.id || !EVENT_ID_PATTERN.test(entry.id) || !entry.name) {
+      throw new Error(`Events in ${filename} need a lower-case id (e.g. "fun-run") and a name: ${JSON.stringify(entry)}`);
+    }
+    if (ids.has(entry.id)) {
+      throw new Error(`Event "${entry.id}" is listed more than once in ${filename}`);
+    }
+    ids.add(entry.id);
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      distance: entry.distance || '',
+      standard_categories: entry.standard_categories !== false,
+      isDefault: entry.id === config.default_event
+    };
+  });
+
+  const defaultEvent = events.find(event => event.isDefault);
+  if (!defaultEvent) {
+    throw new Error(`default_event "${config.default_event}" in ${filename} isn't one of its events`);
+  }
+
+  return { defaultEvent, events };
+}
+
+// Function to get an event by ID (throws for an unknown event)
+function getEvent(registry, eventId) {
+  const event = registry.events.find(e => e.id === eventId);
+  if (!event) {
+    throw new Error(
+      `Unknown event: "${eventId}"\n\n` +
+      `Use one of ${registry.events.map(e => e.id).join(', ')} (or add it to data/events.json)`
+    );
+  }
+  return event;
+}
+
+// Function to get the folder an event's yearly results are in
+function getEventResultsDir(event) {
+  return event.isDefault ? RESULTS_DIR : path.join(RESULTS_DIR, event.id);
+}
+
+// Function to get an event's yearly results files ({ year, filePath }), oldest first
+function getEventYearFiles(event) {
+  const dir = getEventResultsDir(event);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort()
+    .map(file => ({ year: parseInt(path.basename(file, '.json')), filePath: path.join(dir, file) }));
+}
+
+module.exports = {
+  loadEvents,
+  getEvent,
+  getEventResultsDir,
+  getEventYearFiles
+};
@@ -170,7 +170,7 @@ function loadHistoricalData() {
   const allNames = { first_names: {}, surnames: {} };
 
   const files = fs.readdirSync(RESULTS_DIR)
-    .filter(f => f.endsWith('.json'))
+    .filter(f => /^\d{4}\.json$/.test(f))
     .sort();
 
   for (const file of files) {
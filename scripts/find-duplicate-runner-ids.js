@@ -4,7 +4,7 @@ const path = require('path');
 // Check for duplicate runner_ids within the same results file
 const resultsDir = path.join(__dirname, '..', 'assets', 'results');
 const years = fs.readdirSync(resultsDir)
-  .filter(f => f.endsWith('.json'))
+  .filter(f => /^\d{4}\.json$/.test(f))
   .map(f => f.replace('.json', ''))
   .sort();
 
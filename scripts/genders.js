@@ -0,0 +1,88 @@
+/**
+ * Gender division helpers
+ *
+ * A result's gender comes from the first letter of its category:
+ * - M: Male (MU19, MO, M35 ... M90)
+ * - F: Female (FU19, FO, F35 ... F90)
+ * - X: Non-binary (XU19, XO, X35 ... X90)
+ *
+ * Each gender has its own positions, podium awards, fastest lists and
+ * records. Categories starting with anything else (e.g. WCH for wheelchair)
+ * have no gender.
+ *
+ * Used by csv-to-json.js, assign-ids-to-new-year.js, add-position-fields.js,
+ * add-age-grades.js and the record and stats generators.
+ */
+
+// Gender codes and their names, in display order
+const GENDERS = {
+  M: 'Male',
+  F: 'Female',
+  X: 'Non-binary'
+};
+
+// File name slug for each gender's lists (e.g. fastest-50-nonbinary.json)
+const GENDER_SLUGS = {
+  M: 'male',
+  F: 'female',
+  X: 'nonbinary'
+};
+
+// Function to get gender from category (null if the category has no gender)
+function getGender(category) {
+  if (!category) return null;
+  const first = category.trim().charAt(0).toUpperCase();
+  return GENDERS[first] ? first : null;
+}
+
+// Open categories (MO, FO, XO), which are the whole gender rather than an
+// age group, so they don't get category podiums of their own
+const OPEN_CATEGORIES = Object.keys(GENDERS).map(gender => `${gender}O`);
+
+// Function to check if a category is an open category
+function isOpenCategory(category) {
+  return OPEN_CATEGORIES.includes(category);
+}
+
+// Function to get the display order of a gender (genders first, in GENDERS order)
+function getGenderOrder(gender) {
+  const order = Object.keys(GENDERS).indexOf(gender);
+  return order === -1 ? Object.keys(GENDERS).length : order;
+}
+
+// Function to get a category's sort key: by gender, then juniors, open and
+// masters by age (e.g. MU19, MO, M35 ... M90, FU19, FO ...)
+function categorySortKey(category) {
+  const upper = category.toUpperCase();
+  const genderOrder = getGenderOrder(getGender(category));
+  let ageOrder = 500;
+  if (/U\d+|J/.test(upper.slice(1))) {
+    ageOrder = 0;
+  } else if (/^.(O|0)$/.test(upper)) {
+    ageOrder = 1;
+  } else if (/^.\d+$/.test(upper)) {
+    ageOrder = parseInt(upper.slice(1));
+  }
+  return [genderOrder, ageOrder, upper];
+}
+
+// Function to compare two categories in display order (for Array.sort)
+function compareCategories(a, b) {
+  const keyA = categorySortKey(a);
+  const keyB = categorySortKey(b);
+  for (let i = 0; i < keyA.length; i++) {
+    if (keyA[i] < keyB[i]) return -1;
+    if (keyA[i] > keyB[i]) return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  GENDERS,
+  GENDER_SLUGS,
+  OPEN_CATEGORIES,
+  getGender,
+  isOpenCategory,
+  getGenderOrder,
+  compareCategories
+};
@@ -0,0 +1,241 @@
+/**
+ * Script to generate statistics JSON files for each club (assets/clubs/<club-id>.json)
+ *
+ * This script reads all yearly results and creates, for each club:
+ * - Every runner who has represented the club (with races and best time for the club)
+ * - Finishers per year
+ * - Fastest male, female and non-binary performances
+ * - Fastest performance in each category
+ * - Podium finishes (overall within gender, and category podiums excluding MO/FO/XO)
+ *
+ * Non-finishers (status DNF, DQ or NT - see result-status.js) count as races
+ * for their runner but not as finishers or performances. Walk, buggy and
+ * wheelchair entries (divisions.js) count as finishers but not as performances.
+ *
+ * Club names are first resolved to their canonical name using
+ * data/club-aliases.json, then grouped by club ID, a slug of the name (so
+ * "Keep 'er Lit" and "keep er lit" share a page - see clubs.js).
+ *
+ * Results link to clubs by the name as entered, so for every alias spelling a
+ * small redirect file ({ "redirect": "<club-id>" }) is written under the
+ * alias's own ID, which the club page follows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClubAliases, getCanonicalClub } = require('./club-aliases');
+const { getClubId } = require('./clubs');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+const { GENDER_SLUGS, getGender, isOpenCategory, compareCategories } = require('./genders');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const clubsDir = path.join(__dirname, '..', 'assets', 'clubs');
+
+// Function to convert time string to seconds for comparisons
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to get the most common value in an array
+function mostCommon(arr) {
+  const counts = {};
+  arr.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Function to summarise a result as a club performance
+function toPerformance(result) {
+  return {
+    name: result.name,
+    runner_id: result.runner_id,
+    category: result.category,
+    time: result.chip_time,
+    year: result.year
+  };
+}
+
+// Function to find the fastest result in a list (earlier year first for ties)
+function fastest(results) {
+  return results.reduce((best, result) => {
+    if (!best) return result;
+    if (result.seconds < best.seconds) return result;
+    if (result.seconds === best.seconds && result.year < best.year) return result;
+    return best;
+  }, null);
+}
+
+// Main function to generate club statistics
+async function generateClubStats() {
+  console.log('Generating club statistics...');
+
+  // Ensure output directory exists
+  if (!fs.existsSync(clubsDir)) {
+    fs.mkdirSync(clubsDir, { recursive: true });
+  }
+
+  const clubAliases = loadClubAliases();
+
+  // Club ID -> list of results for that club
+  const clubResults = {};
+  // Alias club ID -> canonical club ID
+  const redirects = {};
+  const years = [];
+
+  // Get all yearly results files in the results directory
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    years.push(year);
+
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+
+    yearResults.forEach(runner => {
+      const club = getCanonicalClub(runner.Club, clubAliases);
+      const clubId = getClubId(club);
+      if (!clubId) return;
+
+      const enteredId = getClubId(runner.Club);
+      if (enteredId && enteredId !== clubId) {
+        redirects[enteredId] = clubId;
+      }
+
+      clubResults[clubId] = clubResults[clubId] || [];
+      clubResults[clubId].push({
+        year,
+        club,
+        name: runner.Name,
+        runner_id: runner.runner_id || null,
+        category: runner.Category || '',
+        gender: getGender(runner.Category),
+        chip_time: runner["Chip Time"],
+        seconds: isFinisher(runner) && isRunDivision(runner) ? timeToSeconds(runner["Chip Time"]) : Infinity,
+        finished: isFinisher(runner),
+        gender_position: runner.gender_position || null,
+        category_position: runner.category_position || null
+      });
+    });
+  }
+
+  years.sort((a, b) => a - b);
+  console.log(`\nProcessing ${Object.keys(clubResults).length} clubs...`);
+
+  let statsGenerated = 0;
+
+  for (const [clubId, results] of Object.entries(clubResults)) {
+    results.sort((a, b) => a.year - b.year || a.seconds - b.seconds);
+    const timed = results.filter(r => r.seconds !== Infinity);
+
+    // Finishers per year, including years with none (for the chart)
+    const finishersByYear = years.map(year => ({
+      year,
+      finishers: results.filter(r => r.year === year && r.finished).length
+    }));
+
+    // Fastest performance for each gender, keyed "male", "female" and "nonbinary"
+    const fastestByGender = {};
+    Object.entries(GENDER_SLUGS).forEach(([gender, slug]) => {
+      const best = fastest(timed.filter(r => r.gender === gender));
+      fastestByGender[slug] = best ? toPerformance(best) : null;
+    });
+
+    // Fastest performance in each category
+    const categories = [...new Set(timed.map(r => r.category).filter(c => c))].sort(compareCategories);
+    const categoryBests = categories.map(category => ({
+      ...toPerformance(fastest(timed.filter(r => r.category === category))),
+      category
+    }));
+
+    // Podium finishes
+    const podiums = [];
+    results.forEach(r => {
+      if (r.gender_position >= 1 && r.gender_position <= 3) {
+        podiums.push({ ...toPerformance(r), type: 'overall', position: r.gender_position });
+      }
+      if (r.category_position >= 1 && r.category_position <= 3 && !isOpenCategory(r.category)) {
+        podiums.push({ ...toPerformance(r), type: 'category', position: r.category_position });
+      }
+    });
+
+    // Every runner who has represented the club
+    const runnerMap = {};
+    results.forEach(r => {
+      const key = r.runner_id || `name:${r.name}`;
+      if (!runnerMap[key]) {
+        runnerMap[key] = {
+          runner_id: r.runner_id,
+          name: r.name,
+          races: 0,
+          first_year: r.year,
+          last_year: r.year,
+          best_time: null,
+          best_seconds: Infinity
+        };
+      }
+
+      const runner = runnerMap[key];
+      runner.races++;
+      runner.last_year = r.year;
+      if (r.seconds < runner.best_seconds) {
+        runner.best_seconds = r.seconds;
+        runner.best_time = r.chip_time;
+      }
+    });
+
+    const runners = Object.values(runnerMap)
+      .sort((a, b) => b.races - a.races || a.name.localeCompare(b.name))
+      .map(({ best_seconds, ...runner }) => runner);
+
+    const stats = {
+      club_id: clubId,
+      name: mostCommon(results.map(r => r.club)),
+      total_results: results.length,
+      total_runners: runners.length,
+      years_active: {
+        first: results[0].year,
+        last: results[results.length - 1].year
+      },
+      finishers_by_year: finishersByYear,
+      fastest: fastestByGender,
+      category_bests: categoryBests,
+      podiums: podiums,
+      runners: runners
+    };
+
+    fs.writeFileSync(path.join(clubsDir, `${clubId}.json`), JSON.stringify(stats, null, 2));
+    statsGenerated++;
+  }
+
+  // Redirects for alias spellings (never overwrite a real club's page)
+  let redirectsGenerated = 0;
+  for (const [aliasId, clubId] of Object.entries(redirects)) {
+    if (clubResults[aliasId]) continue;
+
+    fs.writeFileSync(path.join(clubsDir, `${aliasId}.json`), JSON.stringify({ redirect: clubId }, null, 2));
+    redirectsGenerated++;
+  }
+
+  console.log(`\nComplete! Generated ${statsGenerated} club statistics files and ${redirectsGenerated} alias redirects.`);
+  console.log(`Files saved to ${clubsDir}`);
+}
+
+// Run the main function
+generateClubStats().catch(error => {
+  console.error('Error generating club statistics:', error);
+  process.exit(1);
+});
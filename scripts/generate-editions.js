@@ -0,0 +1,47 @@
+/**
+ * Script to publish the edition registry (assets/results/editions.json)
+ *
+ * This script validates data/editions.json (see editions.js) - the date, start
+ * time, course version, timing, weather, temperature and notes for each year's
+ * race - and copies it into the published assets, where the results page shows
+ * it in an edition info panel and runner stats show it in the performance
+ * chart tooltips.
+ *
+ * The script fails if an edition is invalid. Editions for years without
+ * results (e.g. the upcoming race) are published but reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEditions } = require('./editions');
+const { loadEvents, getEventYearFiles } = require('./events');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const outputPath = path.join(resultsDir, 'editions.json');
+
+// Main function
+async function generateEditions() {
+  console.log('Publishing edition registry...\n');
+
+  const editions = loadEditions();
+  const { defaultEvent } = loadEvents();
+  const resultYears = new Set(getEventYearFiles(defaultEvent).map(file => file.year));
+
+  editions.forEach(edition => {
+    const facts = Object.keys(edition).filter(field => field !== 'year');
+    const note = resultYears.has(edition.year) ? '' : ' (no results yet)';
+    console.log(`  ${edition.year}: ${facts.join(', ') || 'no details'}${note}`);
+  });
+
+  fs.writeFileSync(outputPath, JSON.stringify({ editions }, null, 2) + '\n');
+
+  console.log(`\n✓ ${editions.length} editions published`);
+  console.log(`  Saved to ${outputPath}`);
+}
+
+// Run the script
+generateEditions().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -1,16 +1,29 @@
 /**
- * Script to find the fastest 50 male and female runners across all years
+ * Script to find the fastest 50 male, female and non-binary runners across all years
  *
  * This script reads all JSON files in the assets/results folder,
  * groups results by runner_id, finds each runner's fastest time,
- * and creates top 50 lists for each gender.
+ * and creates top 50 lists for each gender (see genders.js), e.g.
+ * fastest-50-male.json and fastest-50-nonbinary.json.
+ *
+ * It also creates top 50 performance lists for each gender, where every
+ * result counts (so one runner can appear several times).
+ *
+ * Non-finishers (result-status.js), walk, buggy and wheelchair entries
+ * (divisions.js) and results excluded in data/record-eligibility.json are
+ * skipped, and times are chip or gun times as the config says.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadRecordEligibility, isRecordEligible, getRecordTime } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+const { GENDERS, GENDER_SLUGS, getGender } = require('./genders');
 
-// Path to results directory
+// Paths
 const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const recordsDir = path.join(__dirname, '..', 'assets', 'records');
 
 // Function to convert time string to seconds
 function timeToSeconds(timeStr) {
@@ -45,26 +58,63 @@ function secondsToTime(seconds) {
   return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
-// Function to extract gender from category
-function getGender(category) {
-  if (!category) return null;
-  const upper = category.toUpperCase();
-  if (upper.startsWith('M')) return 'M';
-  if (upper.startsWith('F')) return 'F';
-  return null;
+// Function to sort results by time, then by year (earlier year first for ties), and keep
+// the top 50 plus anyone on the same time as the 50th (they share its position)
+function getTop50(entries) {
+  const sorted = entries
+    .sort((a, b) => {
+      if (a.time !== b.time) return a.time - b.time;
+      return parseInt(a.year) - parseInt(b.year);
+    });
+  const cutoff = sorted.length > 50 ? sorted[49].time : Infinity;
+  return sorted.filter(entry => entry.time <= cutoff);
+}
+
+// Function to format a sorted list as records, with proper position handling (ties get same position)
+function toRecords(entries) {
+  const records = [];
+  let currentPosition = 1;
+  for (let i = 0; i < entries.length; i++) {
+    const runner = entries[i];
+
+    // If this is not the first runner and time is different from previous, update position
+    if (i > 0 && runner.time !== entries[i - 1].time) {
+      currentPosition = i + 1;
+    }
+
+    records.push({
+      "Position": currentPosition,
+      "Year": parseInt(runner.year),
+      "Name": runner.name,
+      "Club": runner.club === 'Birmingham running and triathlon club' ? 'Birmingham run & tri' : runner.club,
+      "Category": runner.category,
+      "Finish Time": runner.timeStr,
+      "runner_id": runner.runner_id
+    });
+  }
+  return records;
 }
 
 // Main function to find fastest 50 runners
 async function findFastest50() {
-  console.log('Finding fastest 50 male and female runners...');
+  console.log('Finding fastest 50 male, female and non-binary runners...');
+
+  const eligibility = loadRecordEligibility();
+
+  // Each runner's fastest time, by gender: runner_id -> { time, timeStr, name, club, category, year }
+  const runnersByGender = {};
+
+  // Every result by gender, for the fastest performances lists
+  const performancesByGender = {};
 
-  // Object to store each runner's fastest time
-  const maleRunners = {}; // runner_id -> { time, timeStr, name, club, category, year }
-  const femaleRunners = {};
+  Object.keys(GENDERS).forEach(gender => {
+    runnersByGender[gender] = {};
+    performancesByGender[gender] = [];
+  });
 
   try {
     // Get all JSON files in the results directory
-    const files = fs.readdirSync(resultsDir).filter(file => file.endsWith('.json'));
+    const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
 
     // Process each file
     for (const file of files) {
@@ -83,116 +133,67 @@ async function findFastest50() {
           return;
         }
 
+        // Skip non-finishers, walk/buggy/wheelchair entries and results excluded from records
+        if (!isFinisher(runner) || !isRunDivision(runner) || !isRecordEligible(runner, year, eligibility)) return;
+
         const gender = getGender(runner.Category);
         if (!gender) return;
 
-        const timeStr = runner["Chip Time"];
+        const timeStr = getRecordTime(runner, eligibility);
         if (!timeStr) return;
 
         const timeInSeconds = timeToSeconds(timeStr);
         if (timeInSeconds === Infinity) return;
 
-        // Determine which collection to use based on gender
-        const collection = gender === 'M' ? maleRunners : femaleRunners;
+        const performance = {
+          time: timeInSeconds,
+          timeStr: secondsToTime(timeInSeconds),
+          name: runner.Name,
+          club: runner.Club || '',
+          category: runner.Category,
+          year: year,
+          runner_id: runner.runner_id
+        };
+
+        // Determine which collections to use based on gender
+        const collection = runnersByGender[gender];
+        performancesByGender[gender].push(performance);
 
         // Update if this is the runner's first time or faster than their previous best
         if (!collection[runner.runner_id] || timeInSeconds < collection[runner.runner_id].time) {
-          collection[runner.runner_id] = {
-            time: timeInSeconds,
-            timeStr: secondsToTime(timeInSeconds),
-            name: runner.Name,
-            club: runner.Club || '',
-            category: runner.Category,
-            year: year,
-            runner_id: runner.runner_id
-          };
+          collection[runner.runner_id] = performance;
         }
       });
     }
 
-    console.log(`\nFound ${Object.keys(maleRunners).length} male runners`);
-    console.log(`Found ${Object.keys(femaleRunners).length} female runners`);
-
-    // Convert to arrays and sort by time, then by year (for tie-breaking)
-    const maleArray = Object.values(maleRunners)
-      .sort((a, b) => {
-        if (a.time !== b.time) return a.time - b.time;
-        return parseInt(a.year) - parseInt(b.year); // Earlier year first for ties
-      })
-      .slice(0, 50); // Take top 50
-
-    const femaleArray = Object.values(femaleRunners)
-      .sort((a, b) => {
-        if (a.time !== b.time) return a.time - b.time;
-        return parseInt(a.year) - parseInt(b.year); // Earlier year first for ties
-      })
-      .slice(0, 50); // Take top 50
-
-    // Format the output with proper position handling (ties get same position)
-    const maleRecords = [];
-    let currentPosition = 1;
-    for (let i = 0; i < maleArray.length; i++) {
-      const runner = maleArray[i];
-
-      // If this is not the first runner and time is different from previous, update position
-      if (i > 0 && runner.time !== maleArray[i - 1].time) {
-        currentPosition = i + 1;
-      }
-
-      maleRecords.push({
-        "Position": currentPosition,
-        "Year": parseInt(runner.year),
-        "Name": runner.name,
-        "Club": runner.club === 'Birmingham running and triathlon club' ? 'Birmingham run & tri' : runner.club,
-        "Category": runner.category,
-        "Finish Time": runner.timeStr,
-        "runner_id": runner.runner_id
-      });
-    }
-
-    const femaleRecords = [];
-    currentPosition = 1;
-    for (let i = 0; i < femaleArray.length; i++) {
-      const runner = femaleArray[i];
-
-      // If this is not the first runner and time is different from previous, update position
-      if (i > 0 && runner.time !== femaleArray[i - 1].time) {
-        currentPosition = i + 1;
-      }
-
-      femaleRecords.push({
-        "Position": currentPosition,
-        "Year": parseInt(runner.year),
-        "Name": runner.name,
-        "Club": runner.club,
-        "Category": runner.category,
-        "Finish Time": runner.timeStr,
-        "runner_id": runner.runner_id
-      });
-    }
+    console.log('');
+    Object.entries(GENDERS).forEach(([gender, label]) => {
+      console.log(`Found ${Object.keys(runnersByGender[gender]).length} ${label.toLowerCase()} runners`);
+    });
 
-    // Output summary
     console.log('\nFastest 50 Runners:');
-    console.log('====================================\n');
+    console.log('====================================');
 
-    console.log('Top 10 Male Runners:');
-    maleRecords.slice(0, 10).forEach(record => {
-      console.log(`${record.Position}. ${record.Name} (${record.Year}) - ${record["Finish Time"]}`);
-    });
+    Object.entries(GENDERS).forEach(([gender, label]) => {
+      // Convert to arrays, sort by time and format with positions
+      const records = toRecords(getTop50(Object.values(runnersByGender[gender])));
+      const performanceRecords = toRecords(getTop50(performancesByGender[gender]));
 
-    console.log('\nTop 10 Female Runners:');
-    femaleRecords.slice(0, 10).forEach(record => {
-      console.log(`${record.Position}. ${record.Name} (${record.Year}) - ${record["Finish Time"]}`);
-    });
+      // Output summary
+      console.log(`\nTop 10 ${label} Runners:`);
+      records.slice(0, 10).forEach(record => {
+        console.log(`${record.Position}. ${record.Name} (${record.Year}) - ${record["Finish Time"]}`);
+      });
 
-    // Save results to JSON files
-    const maleOutputPath = path.join(__dirname, '..', 'assets', 'records', 'fastest-50-male.json');
-    fs.writeFileSync(maleOutputPath, JSON.stringify(maleRecords, null, 2));
-    console.log(`\nMale results saved to ${maleOutputPath}`);
+      // Save results to JSON files
+      const outputPath = path.join(recordsDir, `fastest-50-${GENDER_SLUGS[gender]}.json`);
+      fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+      console.log(`${label} results saved to ${outputPath}`);
 
-    const femaleOutputPath = path.join(__dirname, '..', 'assets', 'records', 'fastest-50-female.json');
-    fs.writeFileSync(femaleOutputPath, JSON.stringify(femaleRecords, null, 2));
-    console.log(`Female results saved to ${femaleOutputPath}`);
+      const performancesPath = path.join(recordsDir, `fastest-50-${GENDER_SLUGS[gender]}-performances.json`);
+      fs.writeFileSync(performancesPath, JSON.stringify(performanceRecords, null, 2));
+      console.log(`${label} performances saved to ${performancesPath}`);
+    });
 
   } catch (error) {
     console.error('Error processing results:', error);
@@ -0,0 +1,167 @@
+/**
+ * Script to find the fastest 50 male, female and non-binary Lap of Lough times across all years
+ *
+ * This script reads all JSON files in the assets/results folder and, for each
+ * runner (by runner_id), finds their fastest "Lap of Lough" split. The top 50
+ * for each gender (see genders.js) are listed with the year and the finish
+ * time from that race, e.g. in fastest-lap-male.json and fastest-lap-nonbinary.json.
+ *
+ * Mistimed splits (a lap quicker than MIN_LAP_SHARE of the runner's finish
+ * time) are ignored, as they are in the fastest lap awards from
+ * add-position-fields.js. Non-finishers, walk, buggy and wheelchair entries
+ * and results excluded in data/record-eligibility.json are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRecordEligibility, isRecordEligible } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+const { GENDERS, GENDER_SLUGS, getGender } = require('./genders');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const recordsDir = path.join(__dirname, '..', 'assets', 'records');
+
+// Number of runners in each list (before ties)
+const TOP_COUNT = 50;
+
+// Shortest plausible lap as a share of the finish time (matches add-position-fields.js)
+const MIN_LAP_SHARE = 0.2;
+
+// Placeholder ID shared by unidentified runners (never listed)
+const UNKNOWN_RUNNER_ID = 'unknown';
+
+// Function to convert time string to seconds
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to convert seconds back to time string in H:MM:SS format
+function secondsToTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to get a plausible Lap of Lough time in seconds (null if missing or mistimed)
+function getLapSeconds(runner) {
+  const lapSeconds = timeToSeconds(runner["Lap of Lough"]);
+  const finishSeconds = timeToSeconds(runner["Chip Time"]);
+  if (!Number.isFinite(lapSeconds) || !Number.isFinite(finishSeconds) || lapSeconds <= 0) return null;
+  return lapSeconds >= finishSeconds * MIN_LAP_SHARE && lapSeconds < finishSeconds ? lapSeconds : null;
+}
+
+// Function to sort the fastest laps and format them with positions (ties get same position).
+// Anyone on the same lap time as the last of the top TOP_COUNT is kept.
+function toRecords(laps) {
+  const ordered = Object.values(laps)
+    .sort((a, b) => a.lapSeconds - b.lapSeconds || a.year - b.year || a.finishSeconds - b.finishSeconds);
+  const cutoff = ordered.length > TOP_COUNT ? ordered[TOP_COUNT - 1].lapSeconds : Infinity;
+  const sorted = ordered.filter(lap => lap.lapSeconds <= cutoff);
+
+  const records = [];
+  let currentPosition = 1;
+  sorted.forEach((lap, index) => {
+    // If this is not the first lap and time is different from previous, update position
+    if (index > 0 && lap.lapSeconds !== sorted[index - 1].lapSeconds) {
+      currentPosition = index + 1;
+    }
+
+    records.push({
+      "Position": currentPosition,
+      "Year": lap.year,
+      "Name": lap.name,
+      "Club": lap.club,
+      "Category": lap.category,
+      "Lap Time": secondsToTime(lap.lapSeconds),
+      "Finish Time": secondsToTime(lap.finishSeconds),
+      "runner_id": lap.runner_id
+    });
+  });
+  return records;
+}
+
+// Main function
+async function generateFastestLaps() {
+  console.log('Finding fastest 50 male, female and non-binary Lap of Lough times...\n');
+
+  const eligibility = loadRecordEligibility();
+
+  // runner_id -> fastest lap, for each gender
+  const laps = {};
+  Object.keys(GENDERS).forEach(gender => {
+    laps[gender] = {};
+  });
+
+  // Get all yearly results files, oldest first
+  const files = fs.readdirSync(resultsDir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+
+    yearResults.forEach(runner => {
+      if (!runner.runner_id || runner.runner_id === UNKNOWN_RUNNER_ID) return;
+      if (!isFinisher(runner) || !isRunDivision(runner) || !isRecordEligible(runner, year, eligibility)) return;
+
+      const gender = getGender(runner.Category);
+      const lapSeconds = getLapSeconds(runner);
+      if (!gender || lapSeconds === null) return;
+
+      // Keep the runner's fastest lap (the earlier year if they equalled it)
+      const best = laps[gender][runner.runner_id];
+      if (!best || lapSeconds < best.lapSeconds) {
+        laps[gender][runner.runner_id] = {
+          lapSeconds,
+          finishSeconds: timeToSeconds(runner["Chip Time"]),
+          year,
+          name: runner.Name,
+          club: runner.Club || '',
+          category: runner.Category,
+          runner_id: runner.runner_id
+        };
+      }
+    });
+  }
+
+  const outputs = Object.entries(GENDERS).map(([gender, label]) => ({
+    label,
+    filename: `fastest-lap-${GENDER_SLUGS[gender]}.json`,
+    records: toRecords(laps[gender])
+  }));
+
+  outputs.forEach(({ label, filename, records }) => {
+    const outputPath = path.join(recordsDir, filename);
+    fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+
+    console.log(`Top 5 ${label} Laps:`);
+    records.slice(0, 5).forEach(record => {
+      console.log(`  ${record.Position}. ${record.Name} (${record.Year}) - ${record["Lap Time"]}`);
+    });
+    console.log(`  Saved to ${outputPath}\n`);
+  });
+
+  console.log('✓ Fastest lap lists generated');
+}
+
+// Run the script
+generateFastestLaps().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
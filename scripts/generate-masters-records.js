@@ -4,14 +4,32 @@
  * This script reads all JSON files in the assets/results folder,
  * extracts runner information, and determines the fastest time
  * for each age category across all years.
+ *
+ * Masters (M35-M90, F35-F90, X35-X90) records are written per gender, and
+ * junior (U19) and open records together. It also ranks the top RANKING_SIZE runners in
+ * each category (each runner's best time only) for the expandable category
+ * rankings on the records page.
+ *
+ * Non-finishers (result-status.js), walk, buggy and wheelchair entries
+ * (divisions.js) and results excluded in data/record-eligibility.json are
+ * skipped, and times are chip or gun times as the config says.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadRecordEligibility, isRecordEligible, getRecordTime } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
 
 // Path to results directory
 const resultsDir = path.join(__dirname, '..', 'assets', 'results');
 
+// Number of places in each category ranking (runners tied on the last place are included)
+const RANKING_SIZE = 10;
+
+// Placeholder ID shared by unidentified runners (ranked by name instead)
+const UNKNOWN_RUNNER_ID = 'unknown';
+
 // Function to convert time string to seconds
 function timeToSeconds(timeStr) {
   if (!timeStr) return Infinity;
@@ -46,6 +64,13 @@ function secondsToTime(seconds) {
   return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Older category spellings that mean the same as a standard category
+// (csv-to-json.js maps these for new years, but older files still have them)
+const CATEGORY_EQUIVALENTS = {
+  MJ: 'MU19',
+  FJ: 'FU19'
+};
+
 // Function to normalize category names for consistent capitalization
 function normalizeCategory(category) {
   if (!category) return '';
@@ -59,8 +84,10 @@ function normalizeCategory(category) {
     'm': 'M', 'mo': 'MO', 'm0': 'MO',
     // Female categories
     'f': 'F', 'fo': 'FO', 'f0': 'FO',
+    // Non-binary categories
+    'x': 'X', 'xo': 'XO', 'x0': 'XO',
     // Age-specific categories with space
-    'm u': 'M U', 'f u': 'F U'
+    'm u': 'M U', 'f u': 'F U', 'x u': 'X U'
   };
 
   // Convert to lowercase for comparison
@@ -73,9 +100,9 @@ function normalizeCategory(category) {
     }
   }
 
-  // For age categories like M35, F40, etc.
+  // For age categories like M35, F40, X45, etc.
   // Ensure first letter is capitalized and the rest is preserved
-  if (/^[mf]\d+/i.test(lowerCategory)) {
+  if (/^[mfx]\d+/i.test(lowerCategory)) {
     return lowerCategory.charAt(0).toUpperCase() + lowerCategory.slice(1);
   }
 
@@ -90,40 +117,134 @@ function normalizeCategory(category) {
   return category.charAt(0).toUpperCase() + category.slice(1);
 }
 
+// Function to get the key that identifies a runner in the rankings
+// (runner_id, falling back to the name for unidentified runners)
+function getRankingKey(runner) {
+  if (runner.runner_id && runner.runner_id !== UNKNOWN_RUNNER_ID) {
+    return runner.runner_id;
+  }
+  return `name:${(runner.Name || '').trim().toLowerCase()}`;
+}
+
+// Function to rank each category's best-per-runner times into records-style rows.
+// Equal times share a rank, and everyone ranked RANKING_SIZE or better is kept.
+function getCategoryRankings(bestByCategory) {
+  const rows = [];
+
+  Object.keys(bestByCategory).forEach(category => {
+    const entries = [...bestByCategory[category].values()]
+      .sort((a, b) => a.time - b.time || a.year - b.year);
+
+    let rank = 0;
+    entries.forEach((entry, index) => {
+      if (index === 0 || entries[index - 1].time !== entry.time) {
+        rank = index + 1;
+      }
+      if (rank > RANKING_SIZE) return;
+
+      const row = {
+        "Category": category,
+        "Rank": rank,
+        "Year": entry.year,
+        "Name": entry.runner,
+        "Club": entry.club,
+        "Finish Time": secondsToTime(entry.time)
+      };
+      if (entry.runner_id) {
+        row.runner_id = entry.runner_id;
+      }
+      rows.push(row);
+    });
+  });
+
+  return rows;
+}
+
+// Function to build records-style rows (the record holder for each category,
+// in category order). Runners who share the record time each get a row,
+// earliest first.
+function getRecordRows(bestByCategory, categories) {
+  const records = [];
+
+  categories.forEach(category => {
+    const entries = [...bestByCategory[category].values()]
+      .sort((a, b) => a.time - b.time || a.year - b.year || a.runner.localeCompare(b.runner));
+    // Only include categories with valid times
+    if (entries.length === 0) return;
+
+    entries
+      .filter(entry => entry.time === entries[0].time)
+      .forEach(record => {
+        const recordObj = {
+          "Position": records.length + 1,
+          "Year": record.year,
+          "Name": record.runner,
+          "Club": record.club,
+          "Category": category,
+          "Finish Time": secondsToTime(record.time) // Use consistent H:MM:SS format
+        };
+
+        // Add runner_id if available
+        if (record.runner_id) {
+          recordObj.runner_id = record.runner_id;
+        }
+
+        records.push(recordObj);
+      });
+  });
+
+  return records;
+}
+
+// Function to log record holders
+function logRecords(title, records) {
+  console.log(`${title}:`);
+  records.forEach(record => {
+    console.log(`Category: ${record.Category}`);
+    console.log(`Runner: ${record.Name}`);
+    console.log(`Club: ${record.Club}`);
+    console.log(`Time: ${record["Finish Time"]}`);
+    console.log(`Year: ${record.Year}`);
+    console.log('------------------------------\n');
+  });
+}
+
+// Function to write a records file
+function writeRecords(filename, records, description) {
+  const outputPath = path.join(__dirname, '..', 'assets', 'records', filename);
+  fs.writeFileSync(outputPath, JSON.stringify(records, null, 2));
+  console.log(`${description} saved to ${outputPath}`);
+}
+
 // Main function to find fastest times
 async function findFastestTimes() {
-  console.log('Finding fastest times for masters age categories...');
+  console.log('Finding fastest times for masters, junior and open categories...');
+
+  const eligibility = loadRecordEligibility();
 
   // Define the specific age categories we want to find records for
   const targetAges = [35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90];
+  const mastersMale = targetAges.map(age => `M${age}`);
+  const mastersFemale = targetAges.map(age => `F${age}`);
+  const mastersNonBinary = targetAges.map(age => `X${age}`);
+
+  // Junior (under 19) and open categories, shown together on the records page
+  const juniorOpen = ['MU19', 'MO', 'FU19', 'FO', 'XU19', 'XO'];
+
+  const allCategories = [...mastersMale, ...mastersFemale, ...mastersNonBinary, ...juniorOpen];
 
-  // Object to store fastest times by category
-  const fastestTimesMale = {};
-  const fastestTimesFemale = {};
+  // Each runner's best time in each category: category -> ranking key -> entry.
+  // The fastest of these is the record (shared if several runners are on it).
+  const bestByCategory = {};
 
   // Initialize categories
-  targetAges.forEach(age => {
-    fastestTimesMale[`M${age}`] = {
-      time: Infinity,
-      timeStr: '',
-      runner: '',
-      club: '',
-      year: '',
-      runner_id: null
-    };
-    fastestTimesFemale[`F${age}`] = {
-      time: Infinity,
-      timeStr: '',
-      runner: '',
-      club: '',
-      year: '',
-      runner_id: null
-    };
+  allCategories.forEach(category => {
+    bestByCategory[category] = new Map();
   });
 
   try {
     // Get all JSON files in the results directory
-    const files = fs.readdirSync(resultsDir).filter(file => file.endsWith('.json'));
+    const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
 
     // Process each file
     for (const file of files) {
@@ -137,125 +258,69 @@ async function findFastestTimes() {
 
       // Process each runner
       data.forEach(runner => {
+        // Skip non-finishers, walk/buggy/wheelchair entries and results excluded from records
+        if (!isFinisher(runner) || !isRunDivision(runner) || !isRecordEligible(runner, year, eligibility)) return;
+
         let category = runner.Category;
         if (!category) return;
 
-        // Normalize category name to ensure consistent capitalization
+        // Normalize category name to ensure consistent capitalization,
+        // then map older spellings (e.g. MJ for juniors) to the standard category
         category = normalizeCategory(category);
+        category = CATEGORY_EQUIVALENTS[category] || category;
 
         // Check if this is one of our target categories
-        if (!targetAges.some(age => category === `M${age}` || category === `F${age}`)) {
+        if (!allCategories.includes(category)) {
           return;
         }
 
-        const timeStr = runner["Chip Time"];
+        const timeStr = getRecordTime(runner, eligibility);
         if (!timeStr) return;
 
         const timeInSeconds = timeToSeconds(timeStr);
 
-        // Determine which collection to use based on gender
-        const collection = category.startsWith('M') ? fastestTimesMale : fastestTimesFemale;
-
-        // Update if this is the fastest time for the category
-        if (timeInSeconds < collection[category].time) {
-          collection[category] = {
+        // Keep this runner's best time in the category (for the record and the rankings)
+        const key = getRankingKey(runner);
+        const best = bestByCategory[category].get(key);
+        if (timeInSeconds !== Infinity && (!best || timeInSeconds < best.time)) {
+          bestByCategory[category].set(key, {
             time: timeInSeconds,
-            timeStr: secondsToTime(timeInSeconds), // Use consistent H:MM:SS format
             runner: runner.Name,
             club: runner.Club || '',
-            year: year,
-            runner_id: runner.runner_id || null
-          };
+            year: parseInt(year),
+            runner_id: runner.runner_id && runner.runner_id !== UNKNOWN_RUNNER_ID ? runner.runner_id : null
+          });
         }
       });
     }
 
-    // Create separate arrays for male and female records
-    const maleRecords = [];
-    const femaleRecords = [];
-    let malePosition = 1;
-    let femalePosition = 1;
-
-    // Process male categories
-    Object.keys(fastestTimesMale).forEach(category => {
-      const record = fastestTimesMale[category];
-      // Only include categories with valid times
-      if (record.time !== Infinity) {
-        const recordObj = {
-          "Position": malePosition,
-          "Year": parseInt(record.year),
-          "Name": record.runner,
-          "Club": record.club,
-          "Category": category,
-          "Finish Time": record.timeStr
-        };
-
-        // Add runner_id if available
-        if (record.runner_id) {
-          recordObj.runner_id = record.runner_id;
-        }
-
-        maleRecords.push(recordObj);
-        malePosition++;
-      }
-    });
-
-    // Process female categories
-    Object.keys(fastestTimesFemale).forEach(category => {
-      const record = fastestTimesFemale[category];
-      // Only include categories with valid times
-      if (record.time !== Infinity) {
-        const recordObj = {
-          "Position": femalePosition,
-          "Year": parseInt(record.year),
-          "Name": record.runner,
-          "Club": record.club,
-          "Category": category,
-          "Finish Time": record.timeStr
-        };
-
-        // Add runner_id if available
-        if (record.runner_id) {
-          recordObj.runner_id = record.runner_id;
-        }
-
-        femaleRecords.push(recordObj);
-        femalePosition++;
-      }
-    });
+    // Create separate arrays for male, female, non-binary and junior/open records
+    const maleRecords = getRecordRows(bestByCategory, mastersMale);
+    const femaleRecords = getRecordRows(bestByCategory, mastersFemale);
+    const nonBinaryRecords = getRecordRows(bestByCategory, mastersNonBinary);
+    const juniorOpenRecords = getRecordRows(bestByCategory, juniorOpen);
 
     // Output results
-    console.log('\nFastest Times by Masters Age Category:');
+    console.log('\nFastest Times by Category:');
     console.log('====================================\n');
 
-    console.log('Male Records:');
-    maleRecords.forEach(record => {
-      console.log(`Category: ${record.Category}`);
-      console.log(`Runner: ${record.Name}`);
-      console.log(`Club: ${record.Club}`);
-      console.log(`Time: ${record["Finish Time"]}`);
-      console.log(`Year: ${record.Year}`);
-      console.log('------------------------------\n');
-    });
-
-    console.log('Female Records:');
-    femaleRecords.forEach(record => {
-      console.log(`Category: ${record.Category}`);
-      console.log(`Runner: ${record.Name}`);
-      console.log(`Club: ${record.Club}`);
-      console.log(`Time: ${record["Finish Time"]}`);
-      console.log(`Year: ${record.Year}`);
-      console.log('------------------------------\n');
-    });
+    logRecords('Male Records', maleRecords);
+    logRecords('Female Records', femaleRecords);
+    logRecords('Non-binary Records', nonBinaryRecords);
+    logRecords('Junior and Open Records', juniorOpenRecords);
 
     // Save results to separate JSON files
-    const maleOutputPath = path.join(__dirname, '..', 'assets', 'records', 'masters-men.json');
-    fs.writeFileSync(maleOutputPath, JSON.stringify(maleRecords, null, 2));
-    console.log(`Male results saved to ${maleOutputPath}`);
-
-    const femaleOutputPath = path.join(__dirname, '..', 'assets', 'records', 'masters-women.json');
-    fs.writeFileSync(femaleOutputPath, JSON.stringify(femaleRecords, null, 2));
-    console.log(`Female results saved to ${femaleOutputPath}`);
+    writeRecords('masters-men.json', maleRecords, 'Male results');
+    writeRecords('masters-women.json', femaleRecords, 'Female results');
+    writeRecords('masters-nonbinary.json', nonBinaryRecords, 'Non-binary results');
+    writeRecords('junior-open.json', juniorOpenRecords, 'Junior and open results');
+
+    // Save the top RANKING_SIZE in each category
+    const pick = categories => Object.fromEntries(categories.map(category => [category, bestByCategory[category]]));
+    writeRecords('masters-men-rankings.json', getCategoryRankings(pick(mastersMale)), `Male category rankings (top ${RANKING_SIZE})`);
+    writeRecords('masters-women-rankings.json', getCategoryRankings(pick(mastersFemale)), `Female category rankings (top ${RANKING_SIZE})`);
+    writeRecords('masters-nonbinary-rankings.json', getCategoryRankings(pick(mastersNonBinary)), `Non-binary category rankings (top ${RANKING_SIZE})`);
+    writeRecords('junior-open-rankings.json', getCategoryRankings(pick(juniorOpen)), `Junior and open category rankings (top ${RANKING_SIZE})`);
 
   } catch (error) {
     console.error('Error processing results:', error);
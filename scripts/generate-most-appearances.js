@@ -0,0 +1,130 @@
+/**
+ * Script to generate the Most Appearances leaderboard (assets/records/most-appearances.json)
+ *
+ * This script reads the runner database (built by generate-runner-database.js)
+ * and the yearly results, and ranks runners by the number of races they have
+ * run. Runners are identified by runner_id, so name spellings that have been
+ * merged in the database count as one runner.
+ *
+ * The top TOP_COUNT runners are listed, plus anyone tied with the last of
+ * them. Runners on the same number of races share a position and are ordered
+ * by their longest run of consecutive races, then by name.
+ *
+ * Every race counts, including DNF, DQ and NT results (result-status.js) and
+ * walk, buggy and wheelchair entries (divisions.js), but only running finishes
+ * count for the best time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const databasePath = path.join(__dirname, '..', 'assets', 'runner-database.json');
+const outputPath = path.join(__dirname, '..', 'assets', 'records', 'most-appearances.json');
+
+// Number of runners on the leaderboard (before ties)
+const TOP_COUNT = 50;
+
+// Placeholder ID shared by unidentified runners (never listed)
+const UNKNOWN_RUNNER_ID = 'unknown';
+
+// Function to convert time string to seconds
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to get a runner's longest run of consecutive races.
+// raceYears is every year the race was held, so a year without a race
+// doesn't break a streak.
+function getLongestStreak(runnerYears, raceYears) {
+  const ran = new Set(runnerYears);
+  let longest = 0;
+  let current = 0;
+
+  raceYears.forEach(year => {
+    current = ran.has(year) ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+
+  return longest;
+}
+
+// Main function
+async function generateMostAppearances() {
+  console.log('Generating Most Appearances leaderboard...\n');
+
+  const database = JSON.parse(fs.readFileSync(databasePath, 'utf8'));
+
+  // Get all yearly results files, oldest first
+  const files = fs.readdirSync(resultsDir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort();
+  const raceYears = files.map(file => parseInt(path.basename(file, '.json')));
+
+  // Best chip time for each runner
+  const bestTimes = new Map();
+  files.forEach(file => {
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+    yearResults.forEach(runner => {
+      if (!runner.runner_id || !isFinisher(runner) || !isRunDivision(runner)) return;
+      const seconds = timeToSeconds(runner["Chip Time"]);
+      const best = bestTimes.get(runner.runner_id);
+      if (Number.isFinite(seconds) && seconds > 0 && (!best || seconds < best.seconds)) {
+        bestTimes.set(runner.runner_id, { seconds, time: runner["Chip Time"] });
+      }
+    });
+  });
+
+  const runners = Object.values(database.runners)
+    .filter(runner => runner.runner_id !== UNKNOWN_RUNNER_ID && runner.years.length > 0)
+    .map(runner => ({
+      Name: runner.canonical_name,
+      Club: runner.most_common_club || '',
+      Races: runner.total_races,
+      "First Year": Math.min(...runner.years),
+      "Last Year": Math.max(...runner.years),
+      "Longest Streak": getLongestStreak(runner.years, raceYears),
+      "Best Time": bestTimes.has(runner.runner_id) ? bestTimes.get(runner.runner_id).time : '',
+      runner_id: runner.runner_id
+    }))
+    .sort((a, b) => b.Races - a.Races || b["Longest Streak"] - a["Longest Streak"] || a.Name.localeCompare(b.Name));
+
+  // Keep the top TOP_COUNT, plus anyone tied with the last of them
+  const cutoff = runners.length > TOP_COUNT ? runners[TOP_COUNT - 1].Races : 0;
+  const leaderboard = runners.filter(runner => runner.Races >= cutoff);
+
+  // Runners on the same number of races share a position
+  const output = leaderboard.map(runner => ({ Position: null, ...runner }));
+  output.forEach((runner, index) => {
+    const previous = output[index - 1];
+    runner.Position = previous && previous.Races === runner.Races ? previous.Position : index + 1;
+  });
+
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+  console.log(`✓ ${output.length} runners with ${cutoff}+ races (top ${TOP_COUNT} plus ties)`);
+  output.slice(0, 5).forEach(runner => {
+    console.log(`  ${runner.Position}. ${runner.Name} - ${runner.Races} races (${runner["First Year"]}-${runner["Last Year"]})`);
+  });
+  console.log(`  Saved to ${outputPath}`);
+}
+
+// Run the script
+generateMostAppearances().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * Script to generate the course record progression (assets/records/record-progression.json)
+ *
+ * This script reads the yearly results oldest first and, for each record
+ * (fastest man, woman and non-binary runner, and each junior, open and
+ * masters category), lists every year in which the record was set or broken:
+ * - The first year a category was run sets its first record
+ * - A later year only appears if its fastest time beat the record so far
+ *   (equalling the record doesn't count)
+ * - Margin is how much the new record took off the old one (null for the first)
+ *
+ * Rows are written records-style, ordered by record then year.
+ *
+ * Non-finishers (result-status.js), walk, buggy and wheelchair entries
+ * (divisions.js) and results excluded in data/record-eligibility.json are
+ * skipped, and times are chip or gun times as the config says.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRecordEligibility, isRecordEligible, getRecordTime } = require('./record-eligibility');
+const { isFinisher } = require('./result-status');
+const { isRunDivision } = require('./divisions');
+const { GENDERS, getGender } = require('./genders');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const outputPath = path.join(__dirname, '..', 'assets', 'records', 'record-progression.json');
+
+// Masters age categories (matches generate-masters-records.js)
+const TARGET_AGES = [35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90];
+
+// Records in display order: overall by gender, then junior, open and masters categories
+const RECORDS = [
+  ...Object.values(GENDERS),
+  ...Object.keys(GENDERS).flatMap(gender => [
+    `${gender}U19`,
+    `${gender}O`,
+    ...TARGET_AGES.map(age => `${gender}${age}`)
+  ])
+];
+
+// Older category spellings that mean the same as a standard category
+const CATEGORY_EQUIVALENTS = {
+  MJ: 'MU19',
+  FJ: 'FU19',
+  M0: 'MO',
+  F0: 'FO',
+  X0: 'XO'
+};
+
+// Function to convert time string to seconds
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to convert seconds back to time string in H:MM:SS format
+function secondsToTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to format a margin as M:SS
+function formatMargin(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to get the standard category for a result (e.g. "m40" -> "M40", "MJ" -> "MU19")
+function getCategory(category) {
+  const upper = (category || '').trim().toUpperCase();
+  return CATEGORY_EQUIVALENTS[upper] || upper;
+}
+
+// Function to get the records a result counts towards (its gender and its category)
+function getRecordsFor(runner) {
+  const category = getCategory(runner.Category);
+  const records = [];
+
+  const gender = getGender(category);
+  if (gender) records.push(GENDERS[gender]);
+  if (RECORDS.includes(category)) records.push(category);
+
+  return records;
+}
+
+// Main function
+async function generateRecordProgression() {
+  console.log('Generating course record progression...\n');
+
+  const eligibility = loadRecordEligibility();
+
+  // Get all yearly results files, oldest first
+  const files = fs.readdirSync(resultsDir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort();
+
+  // record -> current record (seconds) and the years it was set or broken
+  const progression = {};
+  RECORDS.forEach(record => {
+    progression[record] = { seconds: Infinity, rows: [] };
+  });
+
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+
+    // Fastest result this year for each record
+    const yearBest = {};
+    yearResults.forEach(runner => {
+      if (!isFinisher(runner) || !isRunDivision(runner) || !isRecordEligible(runner, year, eligibility)) return;
+
+      const seconds = timeToSeconds(getRecordTime(runner, eligibility));
+      if (!Number.isFinite(seconds) || seconds <= 0) return;
+
+      getRecordsFor(runner).forEach(record => {
+        if (!yearBest[record] || seconds < yearBest[record].seconds) {
+          yearBest[record] = { seconds, runner };
+        }
+      });
+    });
+
+    // Record any records set or broken this year
+    Object.entries(yearBest).forEach(([record, best]) => {
+      const current = progression[record];
+      if (best.seconds >= current.seconds) return;
+
+      const row = {
+        "Category": record,
+        "Year": year,
+        "Name": best.runner.Name,
+        "Club": best.runner.Club || '',
+        "Finish Time": secondsToTime(best.seconds),
+        "Margin": current.seconds === Infinity ? null : formatMargin(current.seconds - best.seconds)
+      };
+      if (best.runner.runner_id) {
+        row.runner_id = best.runner.runner_id;
+      }
+
+      current.rows.push(row);
+      current.seconds = best.seconds;
+    });
+  }
+
+  const rows = RECORDS.flatMap(record => progression[record].rows);
+  fs.writeFileSync(outputPath, JSON.stringify(rows, null, 2));
+
+  RECORDS.filter(record => progression[record].rows.length > 0).forEach(record => {
+    const recordRows = progression[record].rows;
+    const latest = recordRows[recordRows.length - 1];
+    console.log(`  ${record}: ${recordRows.length} record(s), now ${latest["Finish Time"]} by ${latest.Name} (${latest.Year})`);
+  });
+  console.log(`\n✓ Record progression written (${rows.length} records set or broken)`);
+  console.log(`  Saved to ${outputPath}`);
+}
+
+// Run the script
+generateRecordProgression().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
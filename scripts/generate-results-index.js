@@ -0,0 +1,110 @@
+/**
+ * Script to generate the results manifest (assets/results/index.json)
+ *
+ * This script reads every yearly results file and records, for each year:
+ * - The number of finishers (not counting DNF, DQ or NT results)
+ * - Which optional columns are present (bib, 2 Miles, Lap of Lough, gun time)
+ *
+ * The manifest also names the latest year, which the website uses as the
+ * default year on the results page. The results page, its year dropdown and
+ * the "results available" banner on the home page are all driven by this file,
+ * so adding a new year only requires dropping in assets/results/YYYY.json and
+ * running the pipeline.
+ *
+ * The top-level years are the main race's. Every event in data/events.json
+ * with results (e.g. the Kids Fun Run in assets/results/fun-run/YYYY.json) is
+ * listed under "events" with its own years, for the results page event switcher.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isFinisher } = require('./result-status');
+const { loadEvents, getEventYearFiles } = require('./events');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const outputPath = path.join(resultsDir, 'index.json');
+
+// Optional columns: manifest key -> results field name
+const OPTIONAL_COLUMNS = {
+  bib: 'Bib no.',
+  two_miles: '2 Miles',
+  lap_of_lough: 'Lap of Lough',
+  gun_time: 'Gun Time'
+};
+
+// Function to check whether any result in a year has a value for a field
+function hasColumn(yearResults, field) {
+  return yearResults.some(result => result[field] !== undefined && result[field] !== null && result[field] !== '');
+}
+
+// Function to get the manifest entry for each of an event's years, newest first
+function getYears(event) {
+  return getEventYearFiles(event).reverse().map(({ year, filePath }) => {
+    const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const columns = {};
+    for (const [key, field] of Object.entries(OPTIONAL_COLUMNS)) {
+      columns[key] = hasColumn(yearResults, field);
+    }
+
+    const enabled = Object.keys(columns).filter(key => columns[key]);
+    const finishers = yearResults.filter(isFinisher).length;
+    const label = event.isDefault ? `${year}` : `${event.name} ${year}`;
+    console.log(`  ${label}: ${finishers} finishers (${enabled.join(', ') || 'no optional columns'})`);
+
+    return {
+      year,
+      finishers,
+      columns
+    };
+  });
+}
+
+// Main function
+async function generateResultsIndex() {
+  console.log('Generating results manifest...\n');
+
+  const { defaultEvent, events } = loadEvents();
+
+  // Every event's years (the main race must have at least one)
+  const eventYears = new Map(events.map(event => [event.id, getYears(event)]));
+  const years = eventYears.get(defaultEvent.id);
+
+  if (years.length === 0) {
+    throw new Error(`No yearly results files found in ${resultsDir}`);
+  }
+
+  const latestYear = years[0].year;
+
+  const manifest = {
+    default_year: latestYear,
+    latest_year: latestYear,
+    years,
+    default_event: defaultEvent.id,
+    events: events
+      .filter(event => eventYears.get(event.id).length > 0)
+      .map(event => ({
+        id: event.id,
+        name: event.name,
+        distance: event.distance,
+        latest_year: eventYears.get(event.id)[0].year,
+        // The main race's years are the top-level years
+        years: event.isDefault ? undefined : eventYears.get(event.id)
+      }))
+  };
+
+  fs.writeFileSync(outputPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log(`\n✓ Manifest written for ${years.length} years (latest: ${latestYear})`);
+  manifest.events.filter(event => event.years).forEach(event => {
+    console.log(`  ${event.name}: ${event.years.length} years (latest: ${event.latest_year})`);
+  });
+  console.log(`  Saved to ${outputPath}`);
+}
+
+// Run the script
+generateResultsIndex().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -1,11 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { loadClubAliases, getCanonicalClub } = require('./club-aliases');
+const { getGender } = require('./genders');
+const { loadEvents, getEventYearFiles } = require('./events');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const RESULTS_DIR = path.join(__dirname, '..', 'assets', 'results');
 const OUTPUT_FILE = path.join(__dirname, '..', 'assets', 'runner-database.json');
 const TEMP_DIR = path.join(__dirname, '..', 'temp');
 const WARNINGS_FILE = path.join(TEMP_DIR, 'runner-database-warnings.json');
@@ -22,17 +24,6 @@ const options = {
 // UTILITY FUNCTIONS
 // ============================================================================
 
-/**
- * Extract gender from category code
- */
-function getGender(category) {
-  if (!category) return null;
-  const upper = category.toUpperCase();
-  if (upper.startsWith('M')) return 'M';
-  if (upper.startsWith('F')) return 'F';
-  return null;
-}
-
 /**
  * Find most common element in array
  */
@@ -52,11 +43,11 @@ function mostCommon(arr) {
 }
 
 /**
- * Normalize club name
+ * Normalize club name to its canonical name from data/club-aliases.json
  */
-function normalizeClub(club) {
+function normalizeClub(club, clubAliases) {
   if (!club || typeof club !== 'string') return '';
-  return club.trim();
+  return getCanonicalClub(club, clubAliases);
 }
 
 // ============================================================================
@@ -64,58 +55,65 @@ function normalizeClub(club) {
 // ============================================================================
 
 /**
- * Load all race results from JSON files
+ * Load all race results from JSON files, for every event in data/events.json
+ * (yearStats only counts the main race)
  */
 function loadRaceResults(yearFilter = null) {
   console.log('Loading race results...');
 
-  const files = fs.readdirSync(RESULTS_DIR)
-    .filter(f => f.endsWith('.json'))
-    .sort();
+  const clubAliases = loadClubAliases();
+  console.log(`  Loaded ${new Set(clubAliases.values()).size} club(s) from club-aliases.json`);
+
+  const { events } = loadEvents();
 
   const allResults = [];
   const yearStats = {};
 
-  for (const file of files) {
-    const year = parseInt(file.replace('.json', ''), 10);
-
-    // Apply year filter if specified
-    if (yearFilter && !yearFilter.includes(year)) {
-      continue;
-    }
+  for (const event of events) {
+    for (const { year, filePath } of getEventYearFiles(event)) {
+      // Apply year filter if specified
+      if (yearFilter && !yearFilter.includes(year)) {
+        continue;
+      }
 
-    const filePath = path.join(RESULTS_DIR, file);
-    const results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
 
-    yearStats[year] = {
-      total: results.length,
-      withId: 0,
-      withoutId: 0
-    };
-
-    // Process each result
-    results.forEach(result => {
-      const processedResult = {
-        year,
-        position: result.Position,
-        name: result.Name,
-        category: result.Category,
-        club: normalizeClub(result.Club) || '',
-        runner_id: result.runner_id || null,
-        canonical_name: result.canonical_name === true,
-        canonical_club: result.canonical_club === true
+      const stats = {
+        total: results.length,
+        withId: 0,
+        withoutId: 0
       };
-
-      if (processedResult.runner_id) {
-        yearStats[year].withId++;
-      } else {
-        yearStats[year].withoutId++;
+      if (event.isDefault) {
+        yearStats[year] = stats;
       }
 
-      allResults.push(processedResult);
-    });
+      // Process each result
+      results.forEach(result => {
+        const processedResult = {
+          event: event.id,
+          is_default_event: event.isDefault,
+          year,
+          position: result.Position,
+          name: result.Name,
+          category: result.Category,
+          club: normalizeClub(result.Club, clubAliases) || '',
+          runner_id: result.runner_id || null,
+          canonical_name: result.canonical_name === true,
+          canonical_club: result.canonical_club === true
+        };
+
+        if (processedResult.runner_id) {
+          stats.withId++;
+        } else {
+          stats.withoutId++;
+        }
+
+        allResults.push(processedResult);
+      });
 
-    console.log(`  ${year}: ${results.length} results (${yearStats[year].withId} with ID, ${yearStats[year].withoutId} without)`);
+      const label = event.isDefault ? `${year}` : `${year} (${event.name})`;
+      console.log(`  ${label}: ${results.length} results (${stats.withId} with ID, ${stats.withoutId} without)`);
+    }
   }
 
   console.log(`\nTotal results loaded: ${allResults.length}`);
@@ -171,8 +169,14 @@ function processRunners(allResults) {
     const genders = results.map(r => getGender(r.category)).filter(g => g);
     const gender = mostCommon(genders);
 
-    // Get years (sorted)
-    const years = [...new Set(results.map(r => r.year))].sort((a, b) => a - b);
+    // Get years (sorted) - years and total_races are for the main race
+    const years = [...new Set(results.filter(r => r.is_default_event).map(r => r.year))].sort((a, b) => a - b);
+
+    // Years in other events (e.g. the fun run), by event ID
+    const eventYears = {};
+    results.filter(r => !r.is_default_event).forEach(r => {
+      eventYears[r.event] = [...new Set([...(eventYears[r.event] || []), r.year])].sort((a, b) => a - b);
+    });
 
     runners[runnerId] = {
       runner_id: runnerId,
@@ -184,6 +188,10 @@ function processRunners(allResults) {
       years,
       total_races: years.length
     };
+
+    if (Object.keys(eventYears).length > 0) {
+      runners[runnerId].event_years = eventYears;
+    }
   }
 
   console.log(`  Processed ${Object.keys(runners).length} unique runners`);
@@ -211,6 +219,7 @@ function generateWarnings(runners, unassignedResults, allResults) {
   // Unassigned results
   unassignedResults.forEach(result => {
     warnings.unassigned_results.push({
+      event: result.event,
       year: result.year,
       position: result.position,
       name: result.name,
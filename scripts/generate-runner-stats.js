@@ -6,17 +6,51 @@
  * - Total participations
  * - Complete results history
  * - Personal bests
- * - Badges and achievements
+ * - Pacing (split times, ranks and positive/negative splits)
+ * - Badges and achievements (podiums, records, masters top 10 places,
+ *   participation milestones and streaks)
+ *
+ * Non-finishers (status DNF, DQ or NT - see result-status.js) count as races,
+ * and are listed in the results history with their status, but aren't placed
+ * and don't count towards best times, averages or podiums. Walk, buggy and
+ * wheelchair entries (divisions.js) count as races and finishes, with their
+ * division and division position, but not towards best times or averages.
+ *
+ * The statistics are for the main race. Results in other events (e.g. the
+ * Kids Fun Run - see events.js) are listed by event in "events", so a child who
+ * moves up to the 5 mile keeps one page, and runners who have only raced
+ * another event still get a stats file.
+ *
+ * It also writes the "Lough 5 Legends" list (assets/records/legends.json) of
+ * every runner with LEGEND_MIN_RACES or more races.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadClubAliases, getCanonicalClub } = require('./club-aliases');
+const { getStatus, isFinisher } = require('./result-status');
+const { getDivision, isRunDivision } = require('./divisions');
+const { GENDER_SLUGS, getGender, isOpenCategory } = require('./genders');
+const { loadEvents, getEventYearFiles } = require('./events');
 
 // Paths
 const resultsDir = path.join(__dirname, '..', 'assets', 'results');
 const recordsDir = path.join(__dirname, '..', 'assets', 'records');
 const statsDir = path.join(__dirname, '..', 'assets', 'runner-stats');
 const profilesPath = path.join(__dirname, '..', 'assets', 'runner-profiles.json');
+const legendsPath = path.join(recordsDir, 'legends.json');
+
+// A participation milestone badge is awarded every MILESTONE_INTERVAL races (5, 10, 15, ...)
+const MILESTONE_INTERVAL = 5;
+
+// Shortest run of consecutive races that earns a streak badge
+const MIN_STREAK_YEARS = 3;
+
+// Races needed to join the Lough 5 Legends list
+const LEGEND_MIN_RACES = 10;
+
+// Placeholder ID shared by unidentified runners (never a legend)
+const UNKNOWN_RUNNER_ID = 'unknown';
 
 // Function to convert time string to seconds for comparisons
 function timeToSeconds(timeStr) {
@@ -34,48 +68,60 @@ function timeToSeconds(timeStr) {
   return Infinity;
 }
 
-// Function to get gender from category
-function getGender(category) {
-  if (!category) return null;
-  const upper = category.toUpperCase();
-  if (upper.startsWith('M')) return 'M';
-  if (upper.startsWith('F')) return 'F';
-  return null;
+// Function to get every run of consecutive races for a runner.
+// raceYears is every year the race was held, so a year without a race
+// doesn't break a streak.
+function getStreaks(runnerYears, raceYears) {
+  const ran = new Set(runnerYears);
+  const streaks = [];
+  let current = null;
+
+  raceYears.forEach(year => {
+    if (ran.has(year)) {
+      if (current) {
+        current.years++;
+        current.to = year;
+      } else {
+        current = { years: 1, from: year, to: year };
+        streaks.push(current);
+      }
+    } else {
+      current = null;
+    }
+  });
+
+  return streaks;
+}
+
+// Function to get a runner's position among a group of results by chip time
+// (equal times share a position, as in add-position-fields.js)
+function getSharedPosition(groupResults, runner) {
+  const seconds = timeToSeconds(runner["Chip Time"]);
+  return groupResults.filter(r => timeToSeconds(r["Chip Time"]) < seconds).length + 1;
 }
 
-// Function to get position within a category for a given year
-function getCategoryPosition(yearResults, runner) {
-  // Filter runners in the same category
-  const categoryRunners = yearResults
-    .filter(r => r.Category === runner.Category)
-    .sort((a, b) => {
-      const timeA = timeToSeconds(a["Chip Time"]);
-      const timeB = timeToSeconds(b["Chip Time"]);
-      return timeA - timeB;
-    });
+// Function to check if anyone else in a group of results has the runner's chip time
+function isSharedPosition(groupResults, runner) {
+  const seconds = timeToSeconds(runner["Chip Time"]);
+  return groupResults.filter(r => timeToSeconds(r["Chip Time"]) === seconds).length > 1;
+}
 
-  // Find the runner's position in their category
-  const position = categoryRunners.findIndex(r => r.runner_id === runner.runner_id) + 1;
-  return position > 0 ? position : null;
+// Function to get the results in the runner's category for a given year
+function getCategoryRunners(yearResults, runner) {
+  return yearResults.filter(r => r.Category === runner.Category);
 }
 
-// Function to get position within gender for a given year
-function getGenderPosition(yearResults, runner) {
+// Function to get the results in the runner's gender for a given year
+function getGenderRunners(yearResults, runner) {
   const runnerGender = getGender(runner.Category);
-  if (!runnerGender) return null;
-
-  // Filter runners of the same gender
-  const genderRunners = yearResults
-    .filter(r => getGender(r.Category) === runnerGender)
-    .sort((a, b) => {
-      const timeA = timeToSeconds(a["Chip Time"]);
-      const timeB = timeToSeconds(b["Chip Time"]);
-      return timeA - timeB;
-    });
+  if (!runnerGender) return [];
+  return yearResults.filter(r => getGender(r.Category) === runnerGender);
+}
 
-  // Find the runner's position within their gender
-  const position = genderRunners.findIndex(r => r.runner_id === runner.runner_id) + 1;
-  return position > 0 ? position : null;
+// Function to get the results in the runner's walk, buggy or wheelchair division for a given year
+function getDivisionRunners(yearResults, runner) {
+  const division = getDivision(runner);
+  return yearResults.filter(r => isFinisher(r) && getDivision(r) === division);
 }
 
 // Main function to generate runner statistics
@@ -87,6 +133,9 @@ async function generateRunnerStats() {
     fs.mkdirSync(statsDir, { recursive: true });
   }
 
+  // Canonical club names (data/club-aliases.json)
+  const clubAliases = loadClubAliases();
+
   // Load runner profiles if they exist
   let runnerProfiles = {};
   if (fs.existsSync(profilesPath)) {
@@ -99,13 +148,13 @@ async function generateRunnerStats() {
     }
   }
 
-  // Load fastest-50 records to determine all-time rankings
-  const fastest50Male = JSON.parse(
-    fs.readFileSync(path.join(recordsDir, 'fastest-50-male.json'), 'utf8')
-  );
-  const fastest50Female = JSON.parse(
-    fs.readFileSync(path.join(recordsDir, 'fastest-50-female.json'), 'utf8')
-  );
+  // Load fastest-50 records (one list per gender) to determine all-time rankings
+  const fastest50ByGender = {};
+  Object.entries(GENDER_SLUGS).forEach(([gender, slug]) => {
+    fastest50ByGender[gender] = JSON.parse(
+      fs.readFileSync(path.join(recordsDir, `fastest-50-${slug}.json`), 'utf8')
+    );
+  });
 
   // Load masters records
   const mastersMen = JSON.parse(
@@ -114,22 +163,35 @@ async function generateRunnerStats() {
   const mastersWomen = JSON.parse(
     fs.readFileSync(path.join(recordsDir, 'masters-women.json'), 'utf8')
   );
+  const mastersNonBinary = JSON.parse(
+    fs.readFileSync(path.join(recordsDir, 'masters-nonbinary.json'), 'utf8')
+  );
+
+  // Load junior (U19) and open records
+  const juniorOpen = JSON.parse(
+    fs.readFileSync(path.join(recordsDir, 'junior-open.json'), 'utf8')
+  );
+
+  // Load category rankings (top 10 per masters, junior and open category)
+  const categoryRankings = [
+    ...JSON.parse(fs.readFileSync(path.join(recordsDir, 'masters-men-rankings.json'), 'utf8')),
+    ...JSON.parse(fs.readFileSync(path.join(recordsDir, 'masters-women-rankings.json'), 'utf8')),
+    ...JSON.parse(fs.readFileSync(path.join(recordsDir, 'masters-nonbinary-rankings.json'), 'utf8')),
+    ...JSON.parse(fs.readFileSync(path.join(recordsDir, 'junior-open-rankings.json'), 'utf8'))
+  ];
 
   // Create lookup maps for records
   const fastest50Map = {};
-  fastest50Male.forEach(record => {
-    if (record.runner_id) {
-      fastest50Map[record.runner_id] = { position: record.Position, gender: 'M' };
-    }
-  });
-  fastest50Female.forEach(record => {
-    if (record.runner_id) {
-      fastest50Map[record.runner_id] = { position: record.Position, gender: 'F' };
-    }
+  Object.entries(fastest50ByGender).forEach(([gender, records]) => {
+    records.forEach(record => {
+      if (record.runner_id) {
+        fastest50Map[record.runner_id] = { position: record.Position, gender };
+      }
+    });
   });
 
   const mastersMap = {};
-  [...mastersMen, ...mastersWomen].forEach(record => {
+  [...mastersMen, ...mastersWomen, ...mastersNonBinary, ...juniorOpen].forEach(record => {
     if (record.runner_id) {
       mastersMap[record.runner_id] = mastersMap[record.runner_id] || [];
       mastersMap[record.runner_id].push({
@@ -140,11 +202,31 @@ async function generateRunnerStats() {
     }
   });
 
+  const categoryRankingsMap = {};
+  categoryRankings.forEach(record => {
+    if (record.runner_id) {
+      categoryRankingsMap[record.runner_id] = categoryRankingsMap[record.runner_id] || [];
+      categoryRankingsMap[record.runner_id].push({
+        category: record.Category,
+        rank: record.Rank,
+        time: record["Finish Time"],
+        year: record.Year
+      });
+    }
+  });
+
   // Object to collect all runner data
   const runnerData = {};
 
   // Get all JSON files in the results directory
-  const files = fs.readdirSync(resultsDir).filter(file => file.endsWith('.json'));
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  // Every year the race was held, oldest first (for streaks)
+  const raceYears = files.map(file => parseInt(path.basename(file, '.json'))).sort((a, b) => a - b);
+  const latestYear = raceYears[raceYears.length - 1];
+
+  // Runners with LEGEND_MIN_RACES or more races
+  const legends = [];
 
   // Process each year's results
   for (const file of files) {
@@ -155,6 +237,9 @@ async function generateRunnerStats() {
 
     const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
 
+    // Only finishers are placed, and walk, buggy and wheelchair entries only within their division
+    const finishers = yearResults.filter(isFinisher).filter(isRunDivision);
+
     // Process each runner in this year
     yearResults.forEach(runner => {
       if (!runner.runner_id) return;
@@ -171,26 +256,87 @@ async function generateRunnerStats() {
         };
       }
 
-      // Get category position for this race
-      const categoryPosition = getCategoryPosition(yearResults, runner);
-
-      // Get gender position for this race
-      const genderPosition = getGenderPosition(yearResults, runner);
+      // Get category and gender positions for this race (shared on equal times)
+      const placed = isFinisher(runner) && isRunDivision(runner);
+      const categoryRunners = placed ? getCategoryRunners(finishers, runner) : [];
+      const genderRunners = placed ? getGenderRunners(finishers, runner) : [];
+      const divisionRunners = isFinisher(runner) && !isRunDivision(runner) ? getDivisionRunners(yearResults, runner) : [];
 
       // Add this year's result
-      runnerData[runnerId].results.push({
+      const result = {
         year: year,
         position: runner.Position,
-        category_position: categoryPosition,
-        gender_position: genderPosition,
+        status: getStatus(runner),
+        division: getDivision(runner),
+        division_position: runner.division_position ?? null,
+        division_position_tied: isSharedPosition(divisionRunners, runner),
+        category_position: categoryRunners.length > 0 ? getSharedPosition(categoryRunners, runner) : null,
+        category_position_tied: isSharedPosition(categoryRunners, runner),
+        gender_position: genderRunners.length > 0 ? getSharedPosition(genderRunners, runner) : null,
+        gender_position_tied: isSharedPosition(genderRunners, runner),
         club: runner.Club || '',
         category: runner.Category,
         chip_time: runner["Chip Time"],
-        canonical_club: runner.canonical_club === true
-      });
+        canonical_club: runner.canonical_club === true,
+        // History flags (from add-history-fields.js)
+        race_number: runner.race_number || null,
+        is_debut: runner.is_debut === true,
+        is_pb: runner.is_pb === true,
+        pb_improvement_seconds: runner.pb_improvement_seconds ?? null,
+        first_in_category: runner.first_in_category === true,
+        // Record eligibility (from add-position-fields.js)
+        record_eligible: runner.record_eligible !== false,
+        ineligible_reason: runner.ineligible_reason || null
+      };
+
+      // Add split analysis (from add-split-fields.js) if this result has splits
+      if (runner.split_type) {
+        result.splits = {
+          lap_of_lough: runner["Lap of Lough"] || null,
+          lap_of_lough_rank: runner.lap_of_lough_rank || null,
+          two_miles: runner["2 Miles"] || null,
+          two_miles_rank: runner.two_miles_rank || null,
+          segment_paces: runner.segment_paces || {},
+          split_type: runner.split_type
+        };
+      }
+
+      runnerData[runnerId].results.push(result);
     });
   }
 
+  // Results in other events (e.g. the Kids Fun Run), by event
+  const otherEvents = loadEvents().events.filter(event => !event.isDefault);
+  otherEvents.forEach(event => {
+    getEventYearFiles(event).forEach(({ year, filePath }) => {
+      const yearResults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      yearResults.forEach(runner => {
+        if (!runner.runner_id) return;
+
+        const runnerId = runner.runner_id;
+        if (!runnerData[runnerId]) {
+          runnerData[runnerId] = {
+            runner_id: runnerId,
+            name: runner.Name,
+            results: [],
+            gender: getGender(runner.Category)
+          };
+        }
+
+        const eventResults = runnerData[runnerId].eventResults || (runnerData[runnerId].eventResults = {});
+        (eventResults[event.id] = eventResults[event.id] || []).push({
+          year: year,
+          position: runner.Position ?? null,
+          status: getStatus(runner),
+          club: runner.Club || '',
+          category: runner.Category || '',
+          chip_time: runner["Chip Time"] || null
+        });
+      });
+    });
+  });
+
   console.log(`\nProcessing ${Object.keys(runnerData).length} runners...`);
 
   // Generate statistics for each runner
@@ -200,13 +346,15 @@ async function generateRunnerStats() {
     // Sort results by year
     data.results.sort((a, b) => a.year - b.year);
 
-    // Calculate statistics
+    // Calculate statistics (every race counts, but only running finishes have times that count)
     const totalRaces = data.results.length;
+    const finishedResults = data.results.filter(result => result.status === 'FIN');
+    const runningResults = finishedResults.filter(result => result.division === 'run');
 
     // Find best time
     let bestTime = null;
     let bestTimeSeconds = Infinity;
-    data.results.forEach(result => {
+    runningResults.forEach(result => {
       const seconds = timeToSeconds(result.chip_time);
       if (seconds < bestTimeSeconds) {
         bestTimeSeconds = seconds;
@@ -231,7 +379,7 @@ async function generateRunnerStats() {
     });
 
     // Calculate average time
-    const validTimes = data.results
+    const validTimes = runningResults
       .map(r => timeToSeconds(r.chip_time))
       .filter(t => t !== Infinity);
     const avgSeconds = validTimes.length > 0
@@ -247,10 +395,22 @@ async function generateRunnerStats() {
       averageTime = `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 
-    // Years active
+    // Other events raced, in data/events.json order
+    const events = otherEvents
+      .filter(event => data.eventResults && data.eventResults[event.id])
+      .map(event => ({
+        id: event.id,
+        name: event.name,
+        results: data.eventResults[event.id].sort((a, b) => a.year - b.year)
+      }));
+
+    // Years active (in the main race, or the other events for runners who haven't run it)
+    const activeYears = data.results.length > 0
+      ? data.results.map(r => r.year)
+      : events.flatMap(event => event.results.map(r => r.year));
     const yearsActive = {
-      first: data.results[0].year,
-      last: data.results[data.results.length - 1].year
+      first: Math.min(...activeYears),
+      last: Math.max(...activeYears)
     };
 
     // Most frequent club - check for canonical_club first
@@ -259,13 +419,14 @@ async function generateRunnerStats() {
 
     if (canonicalClubResult) {
       // Use the canonical club if one is marked
-      mostFrequentClub = canonicalClubResult.club;
+      mostFrequentClub = getCanonicalClub(canonicalClubResult.club, clubAliases);
     } else {
-      // Otherwise, find the most frequent club
+      // Otherwise, find the most frequent club (counting alias spellings together)
       const clubCounts = {};
       data.results.forEach(r => {
-        if (r.club) {
-          clubCounts[r.club] = (clubCounts[r.club] || 0) + 1;
+        const club = getCanonicalClub(r.club, clubAliases);
+        if (club) {
+          clubCounts[club] = (clubCounts[club] || 0) + 1;
         }
       });
       mostFrequentClub = Object.entries(clubCounts).length > 0
@@ -273,6 +434,34 @@ async function generateRunnerStats() {
         : '';
     }
 
+    // Pacing summary across races with split times
+    const splitResults = data.results.filter(r => r.splits);
+    let pacing = null;
+
+    if (splitResults.length > 0) {
+      const countSplits = type => splitResults.filter(r => r.splits.split_type === type).length;
+
+      // Best rank at the Lap of Lough split
+      let bestLap = null;
+      splitResults.forEach(r => {
+        if (r.splits.lap_of_lough_rank && (!bestLap || r.splits.lap_of_lough_rank < bestLap.rank)) {
+          bestLap = {
+            time: r.splits.lap_of_lough,
+            rank: r.splits.lap_of_lough_rank,
+            year: r.year
+          };
+        }
+      });
+
+      pacing = {
+        races_with_splits: splitResults.length,
+        negative_splits: countSplits('negative'),
+        positive_splits: countSplits('positive'),
+        even_splits: countSplits('even'),
+        best_lap_of_lough: bestLap
+      };
+    }
+
     // Generate badges
     const badges = {};
 
@@ -285,10 +474,12 @@ async function generateRunnerStats() {
     }
 
     // Overall podium finishes (1st, 2nd, 3rd overall within gender)
+    // Results excluded from records and awards (data/record-eligibility.json) don't count
     const overallPodiums = data.results
-      .filter(r => r.gender_position >= 1 && r.gender_position <= 3)
+      .filter(r => r.record_eligible && r.gender_position >= 1 && r.gender_position <= 3)
       .map(r => ({
         position: r.gender_position,
+        tied: r.gender_position_tied,
         year: r.year
       }));
 
@@ -297,11 +488,12 @@ async function generateRunnerStats() {
     }
 
     // Category podium finishes (1st, 2nd, 3rd in category)
-    // Exclude MO (Male Open) and FO (Female Open) as these are overall categories
+    // Exclude the open categories (MO, FO and XO) as these are overall categories
     const categoryPodiums = data.results
-      .filter(r => r.category_position >= 1 && r.category_position <= 3 && r.category !== 'MO' && r.category !== 'FO')
+      .filter(r => r.record_eligible && r.category_position >= 1 && r.category_position <= 3 && !isOpenCategory(r.category))
       .map(r => ({
         position: r.category_position,
+        tied: r.category_position_tied,
         category: r.category,
         year: r.year
       }));
@@ -310,30 +502,85 @@ async function generateRunnerStats() {
       badges.category_podiums = categoryPodiums;
     }
 
-    // Age group records held
+    // Age group records held (masters, junior and open)
     if (mastersMap[runnerId]) {
       badges.age_group_records = mastersMap[runnerId];
     }
 
+    // All-time top 10 places in masters, junior and open categories (other than records held)
+    const recordCategories = (mastersMap[runnerId] || []).map(record => record.category);
+    const ageGroupRankings = (categoryRankingsMap[runnerId] || [])
+      .filter(ranking => !recordCategories.includes(ranking.category));
+
+    if (ageGroupRankings.length > 0) {
+      badges.age_group_rankings = ageGroupRankings;
+    }
+
+    // Participation milestones (5th, 10th, 15th race, ...) and the year each was reached
+    const milestones = data.results
+      .map((r, index) => ({ races: index + 1, year: r.year }))
+      .filter(milestone => milestone.races % MILESTONE_INTERVAL === 0);
+
+    if (milestones.length > 0) {
+      badges.participation_milestones = milestones;
+    }
+
+    // Longest run of consecutive races, and the run still going in the latest year
+    const streaks = getStreaks(data.results.map(r => r.year), raceYears);
+    const longestStreak = streaks.reduce((longest, streak) => (streak.years > longest.years ? streak : longest), streaks[0]);
+    const currentStreak = streaks.find(streak => streak.to === latestYear);
+
+    if (longestStreak && longestStreak.years >= MIN_STREAK_YEARS) {
+      badges.longest_streak = longestStreak;
+    }
+    if (currentStreak && currentStreak.years >= MIN_STREAK_YEARS) {
+      badges.current_streak = { years: currentStreak.years, since: currentStreak.from };
+    }
+
+    // Different age categories raced in (e.g. MO, M40, M45)
+    const categories = [...new Set(data.results.map(r => (r.category || '').trim()).filter(c => c))];
+    if (categories.length > 1) {
+      badges.age_categories = categories;
+    }
+
     // Build final statistics object
     const stats = {
       runner_id: runnerId,
       name: data.name,
       total_races: totalRaces,
+      total_finishes: finishedResults.length,
       best_time: bestTime,
       best_position: bestPosition,
       average_time: averageTime,
       years_active: yearsActive,
       most_frequent_club: mostFrequentClub,
       results: data.results,
+      pacing: pacing,
       badges: badges
     };
 
+    if (events.length > 0) {
+      stats.events = events;
+    }
+
     // Add profile data if it exists for this runner
     if (runnerProfiles[runnerId]) {
       stats.profile = runnerProfiles[runnerId];
     }
 
+    if (totalRaces >= LEGEND_MIN_RACES && runnerId !== UNKNOWN_RUNNER_ID) {
+      legends.push({
+        Name: data.name,
+        Club: mostFrequentClub,
+        Races: totalRaces,
+        "First Year": yearsActive.first,
+        "Last Year": yearsActive.last,
+        "Longest Streak": longestStreak.years,
+        "Best Time": bestTime ? bestTime.time : '',
+        runner_id: runnerId
+      });
+    }
+
     // Write to individual JSON file
     const outputPath = path.join(statsDir, `${runnerId}.json`);
     fs.writeFileSync(outputPath, JSON.stringify(stats, null, 2));
@@ -345,8 +592,17 @@ async function generateRunnerStats() {
     }
   }
 
+  // Most races first, then longest streak; runners on the same number of races share a position
+  legends.sort((a, b) => b.Races - a.Races || b["Longest Streak"] - a["Longest Streak"] || a.Name.localeCompare(b.Name));
+  legends.forEach((legend, index) => {
+    const previous = legends[index - 1];
+    legend.Position = previous && previous.Races === legend.Races ? previous.Position : index + 1;
+  });
+  fs.writeFileSync(legendsPath, JSON.stringify(legends.map(({ Position, ...legend }) => ({ Position, ...legend })), null, 2));
+
   console.log(`\nComplete! Generated ${statsGenerated} runner statistics files.`);
   console.log(`Files saved to ${statsDir}`);
+  console.log(`Lough 5 Legends (${LEGEND_MIN_RACES}+ races): ${legends.length} runners, saved to ${legendsPath}`);
 }
 
 // Run the main function
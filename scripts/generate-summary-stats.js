@@ -0,0 +1,176 @@
+/**
+ * Script to generate field statistics for the stats page (assets/stats/summary.json)
+ *
+ * This script reads every yearly results file and records, for each year:
+ * - Finishers, split by gender (male, female and non-binary - see genders.js)
+ * - Finishers in each category
+ * - Chip time statistics: fastest, lower quartile, median, mean, upper quartile, slowest
+ * - A finish-time histogram (HISTOGRAM_BIN_MINUTES wide bins, split by gender)
+ *
+ * Categories are counted as entered in the results (an empty category is
+ * counted as "Unknown"). Results without a valid chip time count as finishers
+ * but are left out of the time statistics and histogram, as are walk, buggy
+ * and wheelchair entries (see divisions.js). Non-finishers (status DNF, DQ or
+ * NT - see result-status.js) aren't counted at all.
+ *
+ * The statistics are for the main race only (assets/results/YYYY.json). Other
+ * events in data/events.json, e.g. the Kids Fun Run, aren't included.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isFinisher } = require('./result-status');
+const { getGender, compareCategories } = require('./genders');
+const { isRunDivision } = require('./divisions');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const statsDir = path.join(__dirname, '..', 'assets', 'stats');
+const outputPath = path.join(statsDir, 'summary.json');
+
+// Width of each finish-time histogram bin
+const HISTOGRAM_BIN_MINUTES = 2;
+
+// Function to convert time string to seconds for comparisons
+function timeToSeconds(timeStr) {
+  if (!timeStr) return Infinity;
+
+  timeStr = timeStr.replace(/\.\d+/, '');
+  timeStr = timeStr.replace(/,\d+/, '');
+
+  const parts = timeStr.split(':');
+  if (parts.length === 2) {
+    return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  } else if (parts.length === 3) {
+    return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+  }
+  return Infinity;
+}
+
+// Function to convert seconds back to time string in H:MM:SS format
+function secondsToTime(seconds) {
+  const rounded = Math.round(seconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const secs = rounded % 60;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Function to get a quantile (0-1) of sorted values, interpolating between neighbours
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Function to summarise a year's chip times
+function getChipTimeStats(seconds) {
+  if (seconds.length === 0) return null;
+
+  const sorted = [...seconds].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+  return {
+    fastest: secondsToTime(sorted[0]),
+    q1: secondsToTime(quantile(sorted, 0.25)),
+    median: secondsToTime(quantile(sorted, 0.5)),
+    mean: secondsToTime(mean),
+    q3: secondsToTime(quantile(sorted, 0.75)),
+    slowest: secondsToTime(sorted[sorted.length - 1])
+  };
+}
+
+// Function to build a finish-time histogram split by gender
+function getHistogram(timed) {
+  if (timed.length === 0) return [];
+
+  const binSeconds = HISTOGRAM_BIN_MINUTES * 60;
+  const first = Math.floor(Math.min(...timed.map(r => r.seconds)) / binSeconds);
+  const last = Math.floor(Math.max(...timed.map(r => r.seconds)) / binSeconds);
+
+  const bins = [];
+  for (let bin = first; bin <= last; bin++) {
+    bins.push({ from_minutes: bin * HISTOGRAM_BIN_MINUTES, male: 0, female: 0, nonbinary: 0, total: 0 });
+  }
+
+  timed.forEach(result => {
+    const bin = bins[Math.floor(result.seconds / binSeconds) - first];
+    if (result.gender === 'M') bin.male++;
+    if (result.gender === 'F') bin.female++;
+    if (result.gender === 'X') bin.nonbinary++;
+    bin.total++;
+  });
+
+  return bins;
+}
+
+// Main function
+async function generateSummaryStats() {
+  console.log('Generating field statistics...\n');
+
+  // Ensure output directory exists
+  if (!fs.existsSync(statsDir)) {
+    fs.mkdirSync(statsDir, { recursive: true });
+  }
+
+  // Get all yearly results files, oldest first
+  const files = fs.readdirSync(resultsDir)
+    .filter(file => /^\d{4}\.json$/.test(file))
+    .sort();
+
+  const allCategories = new Set();
+
+  const years = files.map(file => {
+    const year = parseInt(path.basename(file, '.json'));
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+
+    const results = yearResults.filter(isFinisher).map(runner => ({
+      gender: getGender(runner.Category),
+      category: (runner.Category || '').trim() || 'Unknown',
+      seconds: timeToSeconds(runner["Chip Time"]),
+      isRunning: isRunDivision(runner)
+    }));
+    // Only the road race's times (not walk, buggy or wheelchair) are summarised
+    const timed = results.filter(r => r.isRunning && Number.isFinite(r.seconds) && r.seconds > 0);
+
+    const categories = {};
+    results.forEach(r => {
+      categories[r.category] = (categories[r.category] || 0) + 1;
+      allCategories.add(r.category);
+    });
+
+    const summary = {
+      year,
+      finishers: results.length,
+      male: results.filter(r => r.gender === 'M').length,
+      female: results.filter(r => r.gender === 'F').length,
+      nonbinary: results.filter(r => r.gender === 'X').length,
+      unknown_gender: results.filter(r => !r.gender).length,
+      categories: Object.fromEntries(Object.keys(categories).sort(compareCategories).map(c => [c, categories[c]])),
+      chip_times: getChipTimeStats(timed.map(r => r.seconds)),
+      histogram: getHistogram(timed)
+    };
+
+    console.log(`  ${year}: ${summary.finishers} finishers (${summary.male} male, ${summary.female} female), median ${summary.chip_times ? summary.chip_times.median : 'n/a'}`);
+    return summary;
+  });
+
+  const output = {
+    histogram_bin_minutes: HISTOGRAM_BIN_MINUTES,
+    categories: [...allCategories].sort(compareCategories),
+    years
+  };
+
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2) + '\n');
+
+  console.log(`\n✓ Field statistics written for ${years.length} years`);
+  console.log(`  Saved to ${outputPath}`);
+}
+
+// Run the script
+generateSummaryStats().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+/**
+ * Script to generate club team results for each year (assets/teams/YYYY.json)
+ *
+ * Teams are scored by gender position: a club's first N finishers of the
+ * competition's gender add their gender positions together and the lowest
+ * total wins. Ties go to the team whose last counter finished higher.
+ * Only clubs with a full team of counters are placed.
+ *
+ * Competitions are configured in data/team-scoring.json:
+ * - gender: "M", "F" or "X" (non-binary - see genders.js)
+ * - counters: Number of runners who score
+ * - min_age (optional): Only masters categories from this age up count
+ *   (runners still score their overall gender position)
+ *
+ * Club names are resolved to their canonical name using data/club-aliases.json
+ * and grouped ignoring case, accents and punctuation; for clubs not in the
+ * registry the most common spelling in the year is shown. Names listed in
+ * excluded_clubs (e.g. "N/A") never form a team.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadClubAliases, getCanonicalClub, getClubKey } = require('./club-aliases');
+const { GENDERS, getGender } = require('./genders');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const teamsDir = path.join(__dirname, '..', 'assets', 'teams');
+const configPath = path.join(__dirname, '..', 'data', 'team-scoring.json');
+
+// Function to get the lower age bound of a masters category (e.g. "M45" -> 45), or null
+function getCategoryAge(category) {
+  const match = (category || '').toUpperCase().match(/^[A-Z](\d+)$/);
+  if (!match) return null;
+  const age = parseInt(match[1]);
+  return age > 0 ? age : null;
+}
+
+// Function to get the key used to group a runner's club (canonical name, case and punctuation insensitive)
+function getTeamKey(runner, clubAliases) {
+  return getClubKey(getCanonicalClub(runner.Club, clubAliases));
+}
+
+// Function to pick the most common spelling of each club in a year
+function getClubNames(yearResults, clubAliases) {
+  const spellings = {};
+
+  yearResults.forEach(runner => {
+    const key = getTeamKey(runner, clubAliases);
+    if (!key) return;
+    const name = getCanonicalClub(runner.Club, clubAliases);
+    spellings[key] = spellings[key] || {};
+    spellings[key][name] = (spellings[key][name] || 0) + 1;
+  });
+
+  const names = {};
+  for (const [key, counts] of Object.entries(spellings)) {
+    names[key] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+  }
+  return names;
+}
+
+// Function to score one competition for a year
+function scoreCompetition(yearResults, competition, clubNames, excludedClubs, clubAliases) {
+  // Eligible runners in gender position order
+  const eligible = yearResults
+    .filter(runner => {
+      if (!runner.gender_position) return false;
+      if (getGender(runner.Category) !== competition.gender) return false;
+      if (competition.min_age) {
+        const age = getCategoryAge(runner.Category);
+        if (age === null || age < competition.min_age) return false;
+      }
+      const key = getTeamKey(runner, clubAliases);
+      return key && !excludedClubs.has(key);
+    })
+    .sort((a, b) => a.gender_position - b.gender_position);
+
+  // Group each club's runners, keeping the first N as counters
+  const clubs = {};
+  eligible.forEach(runner => {
+    const key = getTeamKey(runner, clubAliases);
+    clubs[key] = clubs[key] || [];
+    if (clubs[key].length < competition.counters) {
+      clubs[key].push(runner);
+    }
+  });
+
+  const teams = Object.entries(clubs)
+    .filter(([, scorers]) => scorers.length === competition.counters)
+    .map(([key, scorers]) => ({
+      club: clubNames[key],
+      points: scorers.reduce((sum, runner) => sum + runner.gender_position, 0),
+      last_counter: scorers[scorers.length - 1].gender_position,
+      scorers: scorers.map(runner => ({
+        name: runner.Name,
+        runner_id: runner.runner_id || null,
+        category: runner.Category,
+        gender_position: runner.gender_position,
+        chip_time: runner["Chip Time"]
+      }))
+    }))
+    .sort((a, b) => a.points - b.points || a.last_counter - b.last_counter);
+
+  // Assign positions (equal points and last counter share a position)
+  let currentPosition = 1;
+  return teams.map((team, i) => {
+    const previous = teams[i - 1];
+    if (previous && (team.points !== previous.points || team.last_counter !== previous.last_counter)) {
+      currentPosition = i + 1;
+    }
+
+    return {
+      position: currentPosition,
+      club: team.club,
+      points: team.points,
+      scorers: team.scorers
+    };
+  });
+}
+
+// Main function
+async function generateTeamResults() {
+  console.log('Generating club team results...\n');
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const excludedClubs = new Set(config.excluded_clubs.map(getClubKey));
+  const clubAliases = loadClubAliases();
+
+  config.competitions.forEach(competition => {
+    if (!GENDERS[competition.gender]) {
+      throw new Error(`Unknown gender "${competition.gender}" for ${competition.id} in team-scoring.json (use ${Object.keys(GENDERS).join(', ')})`);
+    }
+  });
+
+  // Ensure output directory exists
+  if (!fs.existsSync(teamsDir)) {
+    fs.mkdirSync(teamsDir, { recursive: true });
+  }
+
+  // Get all yearly results files in the results directory
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file));
+
+  for (const file of files) {
+    const year = parseInt(path.basename(file, '.json'));
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+    const clubNames = getClubNames(yearResults, clubAliases);
+
+    const competitions = config.competitions.map(competition => ({
+      id: competition.id,
+      name: competition.name,
+      gender: competition.gender,
+      counters: competition.counters,
+      teams: scoreCompetition(yearResults, competition, clubNames, excludedClubs, clubAliases)
+    }));
+
+    fs.writeFileSync(
+      path.join(teamsDir, `${year}.json`),
+      JSON.stringify({ year, competitions }, null, 2)
+    );
+
+    const summary = competitions
+      .map(competition => `${competition.name}: ${competition.teams.length} teams` +
+        (competition.teams.length > 0 ? ` (winner ${competition.teams[0].club})` : ''))
+      .join(', ');
+    console.log(`  ${year}: ${summary}`);
+  }
+
+  console.log(`\n✓ Team results generated for ${files.length} years`);
+  console.log(`  Saved to ${teamsDir}`);
+}
+
+// Run the script
+generateTeamResults().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -5,16 +5,15 @@
  * This script rewrites all results JSON files with fields in a consistent order,
  * making git diffs cleaner and easier to review changes.
  *
- * Field order is based on 2025.json Position 1 record.
+ * Field order is based on 2025.json Position 1 record. Every event's results
+ * are normalized (data/events.json), e.g. assets/results/fun-run/YYYY.json too.
  *
  * Usage:
  *   node scripts/normalize-field-order.js
  */
 
 const fs = require('fs');
-const path = require('path');
-
-const RESULTS_DIR = path.join(__dirname, '..', 'assets', 'results');
+const { loadEvents, getEventYearFiles } = require('./events');
 
 // Canonical field order (from 2025.json Position 1)
 const FIELD_ORDER = [
@@ -27,11 +26,29 @@ const FIELD_ORDER = [
   'Lap of Lough',
   'Chip Time',
   'Gun Time',
+  'status',
+  'division',
   'runner_id',
   'category_position',
   'gender_position',
+  'division_position',
   'awards',
-  'highlight'
+  'highlight',
+  'fastest_lap',
+  'record_eligible',
+  'ineligible_reason',
+  'age_grade',
+  'race_number',
+  'is_debut',
+  'is_pb',
+  'pb_improvement_seconds',
+  'first_in_category',
+  'lap_of_lough_rank',
+  'lap_of_lough_remaining',
+  'two_miles_rank',
+  'two_miles_remaining',
+  'segment_paces',
+  'split_type'
 ];
 
 /**
@@ -65,17 +82,14 @@ function reorderFields(obj) {
 function normalizeAllFiles() {
   console.log('Normalizing field order in all results files...\n');
 
-  const files = fs.readdirSync(RESULTS_DIR)
-    .filter(f => f.endsWith('.json'))
-    .sort();
+  const files = loadEvents().events.flatMap(event =>
+    getEventYearFiles(event).map(file => ({ ...file, label: event.isDefault ? `${file.year}` : `${event.name} ${file.year}` }))
+  );
 
   let totalProcessed = 0;
 
-  for (const file of files) {
-    const year = file.replace('.json', '');
-    const filePath = path.join(RESULTS_DIR, file);
-
-    console.log(`Processing ${year}...`);
+  for (const { label, filePath } of files) {
+    console.log(`Processing ${label}...`);
 
     // Read file
     const results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
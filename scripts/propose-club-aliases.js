@@ -0,0 +1,235 @@
+/**
+ * Script to propose new club aliases for data/club-aliases.json
+ *
+ * This script reads the club names used across all years and groups spellings
+ * that probably belong to the same club:
+ * - Names with the same key (differing only in case, accents or punctuation -
+ *   the registry already matches these, but the canonical spelling is chosen here)
+ * - Names whose keys are within a small edit distance ("Carmen Runnners")
+ * - Abbreviations, where each word is a prefix or the initials of the other
+ *   name's words ("Omagh H" / "Omagh Harriers", "Termoneeny RC" /
+ *   "Termoneeny Running Club")
+ * - Names that only differ by a generic suffix ("Pomeroy" / "Pomeroy Runners")
+ *
+ * Groups that the registry already resolves to a single club are skipped. The
+ * proposed canonical name is the registry's name if one of the spellings is
+ * already registered, otherwise the most common spelling.
+ *
+ * Proposals are written to temp/club-alias-proposals.json for review - nothing
+ * is added to the registry automatically. Copy the groups you agree with into
+ * data/club-aliases.json.
+ *
+ * Usage: node scripts/propose-club-aliases.js [--min-similarity=0.85]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClubKey, loadClubAliases } = require('./club-aliases');
+
+// Paths
+const resultsDir = path.join(__dirname, '..', 'assets', 'results');
+const tempDir = path.join(__dirname, '..', 'temp');
+const outputPath = path.join(tempDir, 'club-alias-proposals.json');
+
+const DEFAULT_MIN_SIMILARITY = 0.85;
+
+// Words that don't distinguish one club from another when they end a name
+const GENERIC_SUFFIXES = ['ac', 'rc', 'club', 'running', 'runners', 'harriers', 'h', 'jogging', 'striders', 'gfc', 'gaa'];
+
+// Club keys that mean "no club" (never proposed)
+const NON_CLUB_KEYS = ['na', 'n-a', 'none', 'unattached', 'no-club'];
+
+// Parse command-line arguments
+const args = process.argv.slice(2);
+const minSimilarity = parseFloat(args.find(arg => arg.startsWith('--min-similarity='))?.split('=')[1] || DEFAULT_MIN_SIMILARITY);
+
+// Function to calculate the Levenshtein distance between two strings
+function levenshteinDistance(str1, str2) {
+  const previous = Array.from({ length: str2.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= str1.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= str2.length; j++) {
+      const above = previous[j];
+      previous[j] = str1[i - 1] === str2[j - 1]
+        ? diagonal
+        : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+      diagonal = above;
+    }
+  }
+
+  return previous[str2.length];
+}
+
+// Function to get the similarity (0-1) of two club keys
+function similarity(key1, key2) {
+  const maxLength = Math.max(key1.length, key2.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshteinDistance(key1, key2) / maxLength;
+}
+
+// Function to strip generic suffix words from a club key ("pomeroy-runners" -> "pomeroy")
+function getCoreKey(key) {
+  const words = key.split('-');
+  while (words.length > 1 && GENERIC_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join('-');
+}
+
+// Function to check whether one club key abbreviates the other: every word is
+// a prefix of the matching word, or the initials of the next few words.
+function isAbbreviation(shortKey, longKey) {
+  const shortWords = shortKey.split('-');
+  const longWords = longKey.split('-');
+  if (shortKey === longKey || shortWords[0] !== longWords[0]) return false;
+
+  let j = 0;
+  for (const word of shortWords) {
+    if (j >= longWords.length) return false;
+
+    if (longWords[j].startsWith(word)) {
+      j++;
+      continue;
+    }
+
+    const initials = longWords.slice(j, j + word.length).map(w => w[0]).join('');
+    if (word.length > 1 && initials === word) {
+      j += word.length;
+      continue;
+    }
+
+    return false;
+  }
+
+  return j === longWords.length;
+}
+
+// Function to describe why two club keys look like the same club (null if they don't)
+function getMatchReason(key1, key2) {
+  if (getCoreKey(key1) === getCoreKey(key2)) return 'suffix';
+  if (isAbbreviation(key1, key2) || isAbbreviation(key2, key1)) return 'abbreviation';
+  if (Math.min(key1.length, key2.length) >= 6 && similarity(key1, key2) >= minSimilarity) return 'similar';
+  return null;
+}
+
+// Main function
+async function proposeClubAliases() {
+  console.log('Proposing club aliases...\n');
+
+  const aliases = loadClubAliases();
+  console.log(`Loaded ${new Set(aliases.values()).size} clubs from the alias registry`);
+
+  // Club key -> { names: Map of spelling -> count, count }
+  const clubs = new Map();
+
+  const files = fs.readdirSync(resultsDir).filter(file => /^\d{4}\.json$/.test(file)).sort();
+  for (const file of files) {
+    const yearResults = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+
+    yearResults.forEach(result => {
+      const name = typeof result.Club === 'string' ? result.Club.trim().replace(/\s+/g, ' ') : '';
+      const key = getClubKey(name);
+      if (!key || NON_CLUB_KEYS.includes(key)) return;
+
+      if (!clubs.has(key)) clubs.set(key, { names: new Map(), count: 0 });
+      const club = clubs.get(key);
+      club.names.set(name, (club.names.get(name) || 0) + 1);
+      club.count++;
+    });
+  }
+
+  console.log(`Found ${clubs.size} distinct club names across ${files.length} years\n`);
+
+  // Group keys that look like the same club (union-find)
+  const keys = [...clubs.keys()];
+  const parent = new Map(keys.map(key => [key, key]));
+  const reasons = new Map(keys.map(key => [key, new Set()]));
+
+  const find = key => {
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      // Spellings the registry already maps to different clubs are distinct clubs
+      const registered1 = aliases.get(keys[i]);
+      const registered2 = aliases.get(keys[j]);
+      if (registered1 && registered2 && registered1 !== registered2) continue;
+
+      const reason = registered1 && registered1 === registered2 ? 'registry' : getMatchReason(keys[i], keys[j]);
+      if (!reason) continue;
+
+      const root1 = find(keys[i]);
+      const root2 = find(keys[j]);
+      reasons.get(keys[i]).add(reason);
+      reasons.get(keys[j]).add(reason);
+      if (root1 !== root2) parent.set(root2, root1);
+    }
+  }
+
+  const groups = new Map();
+  keys.forEach(key => {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(key);
+  });
+
+  const proposals = [];
+  for (const groupKeys of groups.values()) {
+    const spellings = groupKeys.flatMap(key => [...clubs.get(key).names])
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (spellings.length < 2) continue;
+
+    // Skip groups the registry already resolves to a single club
+    const registered = [...new Set(groupKeys.map(key => aliases.get(key)))];
+    if (registered.length === 1 && registered[0]) continue;
+
+    const canonical = registered.find(name => name) || spellings[0][0];
+
+    // Spellings that only differ in case, accents or punctuation
+    groupKeys.forEach(key => {
+      if (clubs.get(key).names.size > 1) reasons.get(key).add('spelling');
+    });
+
+    proposals.push({
+      canonical,
+      registered: Boolean(registered.find(name => name)),
+      reasons: [...new Set(groupKeys.flatMap(key => [...reasons.get(key)]))].filter(r => r !== 'registry').sort(),
+      aliases: spellings
+        .filter(([name]) => name !== canonical && aliases.get(getClubKey(name)) !== canonical)
+        .map(([name]) => name),
+      results: Object.fromEntries(spellings)
+    });
+  }
+
+  proposals.sort((a, b) => {
+    const total = p => Object.values(p.results).reduce((sum, count) => sum + count, 0);
+    return total(b) - total(a);
+  });
+
+  // Ensure temp directory exists
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true });
+  }
+
+  fs.writeFileSync(outputPath, JSON.stringify({ min_similarity: minSimilarity, proposals }, null, 2));
+
+  proposals.slice(0, 20).forEach(proposal => {
+    console.log(`  ${proposal.canonical}${proposal.registered ? ' (registered)' : ''} <- ${proposal.aliases.join(', ')}`);
+  });
+  if (proposals.length > 20) {
+    console.log(`  ... and ${proposals.length - 20} more`);
+  }
+
+  console.log(`\n✓ ${proposals.length} proposed alias groups written to ${outputPath}`);
+  console.log('  Review them and copy the ones you agree with into data/club-aliases.json');
+}
+
+// Run the script
+proposeClubAliases().catch(error => {
+  console.error('Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+/**
+ * Record eligibility helpers (data/record-eligibility.json)
+ *
+ * The config says which results count towards records and award flags, and
+ * which time records are based on:
+ *
+ *   {
+ *     "time_basis": "chip",
+ *     "excluded_years": [{ "year": 2020, "reason": "Virtual race" }],
+ *     "excluded_results": [{ "year": 2023, "runner_id": "jane-doe", "reason": "Course cut" }]
+ *   }
+ *
+ * - time_basis: "chip" or "gun". With "gun", results without a gun time
+ *   (2009 and 2014) fall back to their chip time, the only time recorded.
+ * - excluded_years: Every result in the year is left out of records
+ * - excluded_results: One result, matched on year and runner_id
+ *
+ * Every exclusion needs a reason, which is shown against the result on the
+ * results and runner stats pages.
+ *
+ * Used by generate-masters-records.js, generate-record-progression.js,
+ * generate-fastest-50.js, generate-fastest-laps.js, add-position-fields.js
+ * and add-age-grades.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RECORD_ELIGIBILITY_FILE = path.join(__dirname, '..', 'data', 'record-eligibility.json');
+
+// Results field used for each time basis
+const TIME_FIELDS = {
+  chip: 'Chip Time',
+  gun: 'Gun Time'
+};
+
+// Function to get the key for an excluded result
+function getResultKey(year, runnerId) {
+  return `${year}:${runnerId}`;
+}
+
+// Function to load the config. Without a config file every result is
+// eligible and records use chip time. Throws if the config is invalid.
+function loadRecordEligibility(filePath = RECORD_ELIGIBILITY_FILE) {
+  if (!fs.existsSync(filePath)) return parseRecordEligibility({});
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return parseRecordEligibility(config, path.basename(filePath));
+}
+
+// Function to check a parsed config (the contents of record-eligibility.json)
+// and index its exclusions. Throws if the config is invalid.
+function parseRecordEligibility(config, filename = 'record-eligibility.json') {
+  const eligibility = {
+    timeBasis: 'chip',
+    excludedYears: new Map(),
+    excludedResults: new Map()
+  };
+
+  if (config.time_basis !== undefined) {
+    if (!TIME_FIELDS[config.time_basis]) {
+      throw new Error(`Unknown time_basis "${config.time_basis}" in ${filename} (use "chip" or "gun")`);
+    }
+    eligibility.timeBasis = config.time_basis;
+  }
+
+  (config.excluded_years || []).forEach(entry => {
+    if (!Number.isInteger(entry.year) || !entry.reason) {
+      throw new Error(`Excluded years in ${filename} need a year and a reason: ${JSON.stringify(entry)}`);
+    }
+    eligibility.excludedYears.set(entry.year, entry.reason);
+  });
+
+  (config.excluded_results || []).forEach(entry => {
+    if (!Number.isInteger(entry.year) || !entry.runner_id || !entry.reason) {
+      throw new Error(`Excluded results in ${filename} need a year, runner_id and reason: ${JSON.stringify(entry)}`);
+    }
+    eligibility.excludedResults.set(getResultKey(entry.year, entry.runner_id), entry.reason);
+  });
+
+  return eligibility;
+}
+
+// Function to get why a result isn't record-eligible (null if it is)
+function getIneligibleReason(runner, year, eligibility) {
+  year = parseInt(year);
+  if (eligibility.excludedYears.has(year)) {
+    return eligibility.excludedYears.get(year);
+  }
+  if (runner.runner_id && eligibility.excludedResults.has(getResultKey(year, runner.runner_id))) {
+    return eligibility.excludedResults.get(getResultKey(year, runner.runner_id));
+  }
+  return null;
+}
+
+// Function to check if a result counts towards records and award flags
+function isRecordEligible(runner, year, eligibility) {
+  return getIneligibleReason(runner, year, eligibility) === null;
+}
+
+// Function to get the time a result's records are based on (chip or gun time)
+function getRecordTime(runner, eligibility) {
+  return runner[TIME_FIELDS[eligibility.timeBasis]] || runner["Chip Time"];
+}
+
+module.exports = {
+  RECORD_ELIGIBILITY_FILE,
+  loadRecordEligibility,
+  parseRecordEligibility,
+  getIneligibleReason,
+  isRecordEligible,
+  getRecordTime
+};
@@ -0,0 +1,66 @@
+/**
+ * Result status helpers (the optional "status" field in yearly results)
+ *
+ * - FIN: Finished. This is the default, so finishers don't have a status field
+ * - DNF: Did not finish
+ * - DQ: Disqualified
+ * - NT: No time (e.g. a timing chip failure)
+ *
+ * Only finishers get positions, awards and age grades, and only their times
+ * count towards records, PBs and averages. Non-finishers are still listed
+ * (after the finishers) on the results page and count as races on runner
+ * stats.
+ *
+ * Used by csv-to-json.js, add-position-fields.js, add-age-grades.js,
+ * add-history-fields.js, add-split-fields.js and the record and stats
+ * generators.
+ */
+
+// Status codes and what they mean
+const STATUSES = {
+  FIN: 'Finished',
+  DNF: 'Did not finish',
+  DQ: 'Disqualified',
+  NT: 'No time'
+};
+
+// Other spellings seen in timing exports (compared in upper case)
+const STATUS_ALIASES = {
+  FINISHED: 'FIN',
+  'DID NOT FINISH': 'DNF',
+  DSQ: 'DQ',
+  DISQ: 'DQ',
+  DISQUALIFIED: 'DQ',
+  'NO TIME': 'NT'
+};
+
+// Function to get the status code for a value, e.g. "dsq" -> "DQ".
+// Returns null for a blank value and throws for anything unrecognised.
+function normalizeStatus(value) {
+  const upper = String(value ?? '').trim().toUpperCase();
+  if (!upper) return null;
+  if (STATUSES[upper]) return upper;
+  if (STATUS_ALIASES[upper]) return STATUS_ALIASES[upper];
+
+  throw new Error(
+    `Unrecognized status: "${value}"\n\n` +
+    `Use one of ${Object.keys(STATUSES).join(', ')} (or add a spelling to STATUS_ALIASES in result-status.js)`
+  );
+}
+
+// Function to get a result's status code (FIN if it has no status field)
+function getStatus(runner) {
+  return runner.status || 'FIN';
+}
+
+// Function to check if a result is a finish
+function isFinisher(runner) {
+  return getStatus(runner) === 'FIN';
+}
+
+module.exports = {
+  STATUSES,
+  normalizeStatus,
+  getStatus,
+  isFinisher
+};
@@ -0,0 +1,153 @@
+import { Chart, BarController, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import { GENDERS, getGender } from './genders.js';
+
+// Register Chart.js components
+Chart.register(BarController, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+
+export function clubStatsPage() {
+  return {
+    club: null,
+    isLoading: true,
+    error: null,
+    chart: null,
+    runnerSearch: '',
+
+    init() {
+      // Get club ID from URL parameters
+      const urlParams = new URLSearchParams(window.location.search);
+      const clubId = urlParams.get('club');
+
+      if (!clubId) {
+        this.error = 'No club specified in URL.';
+        this.isLoading = false;
+        return;
+      }
+
+      this.loadClubStats(clubId);
+    },
+
+    loadClubStats(clubId, followRedirect = true) {
+      this.isLoading = true;
+      fetch(`clubs/${clubId}.json`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error('Club not found');
+          }
+          return response.json();
+        })
+        .then(data => {
+          // Alias spellings (data/club-aliases.json) point at the canonical club
+          if (data.redirect && followRedirect) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('club', data.redirect);
+            window.history.replaceState({}, '', url);
+            this.loadClubStats(data.redirect, false);
+            return;
+          }
+          if (data.redirect) {
+            throw new Error('Club not found');
+          }
+
+          this.club = data;
+          this.isLoading = false;
+
+          // Create chart after data is loaded and DOM is ready
+          this.$nextTick(() => {
+            this.createFinishersChart();
+          });
+        })
+        .catch(error => {
+          console.error('Error loading club stats:', error);
+          this.error = 'Club not found. Please check the URL or search for a runner instead.';
+          this.isLoading = false;
+        });
+    },
+
+    createFinishersChart() {
+      const ctx = document.getElementById('finishersChart');
+      if (!ctx) return;
+
+      // Destroy existing chart if it exists
+      if (this.chart) {
+        this.chart.destroy();
+      }
+
+      this.chart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: this.club.finishers_by_year.map(entry => entry.year),
+          datasets: [{
+            label: 'Finishers',
+            data: this.club.finishers_by_year.map(entry => entry.finishers),
+            backgroundColor: 'rgba(255, 202, 40, 0.6)',
+            borderColor: 'rgba(255, 202, 40, 0.9)',
+            borderWidth: 1
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              display: false
+            }
+          },
+          scales: {
+            y: {
+              beginAtZero: true,
+              ticks: {
+                precision: 0
+              },
+              title: {
+                display: true,
+                text: 'Finishers'
+              }
+            },
+            x: {
+              title: {
+                display: true,
+                text: 'Year'
+              }
+            }
+          }
+        }
+      });
+    },
+
+    formatYearsActive(yearsActive) {
+      if (!yearsActive) return 'N/A';
+      if (yearsActive.first === yearsActive.last) {
+        return yearsActive.first.toString();
+      }
+      return `${yearsActive.first}-${yearsActive.last}`;
+    },
+
+    // Runners who have represented the club, filtered by the runner search
+    get filteredRunners() {
+      if (!this.club) return [];
+
+      const term = this.runnerSearch.toLowerCase().trim();
+      if (!term) return this.club.runners;
+
+      return this.club.runners.filter(runner => runner.name.toLowerCase().includes(term));
+    },
+
+    getOrdinal(n) {
+      const s = ['th', 'st', 'nd', 'rd'];
+      const v = n % 100;
+      return n + (s[(v - 20) % 10] || s[v] || s[0]);
+    },
+
+    // Podium label, e.g. "1st Female" or "2nd M50"
+    formatPodium(podium) {
+      const division = podium.type === 'overall'
+        ? GENDERS[getGender(podium.category)]
+        : podium.category;
+      return `${this.getOrdinal(podium.position)} ${division}`;
+    },
+
+    getRunnerStatsUrl(runnerId) {
+      return runnerId ? `runner-stats.html?runner=${runnerId}` : null;
+    }
+  };
+}
@@ -0,0 +1,25 @@
+// Club IDs (see scripts/clubs.js): a slug of the club name, so "Keep 'er Lit"
+// and "keep er lit" share a page. Names that mean "no club" have no ID.
+
+// Club names that mean "no club" (by club ID)
+const NON_CLUB_IDS = ['na', 'n-a', 'none', 'unattached', 'no-club'];
+
+// Get the club ID for a club name, or null if it isn't a club
+export function getClubId(club) {
+  if (!club || typeof club !== 'string') return null;
+
+  const id = club.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!id || NON_CLUB_IDS.includes(id)) return null;
+  return id;
+}
+
+// Get club stats URL for a club name (null if it isn't a club)
+export function getClubStatsUrl(club) {
+  const clubId = getClubId(club);
+  return clubId ? `club-stats.html?club=${clubId}` : null;
+}
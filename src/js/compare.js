@@ -0,0 +1,316 @@
+import { Chart, LineController, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
+import { isFinisher } from './positions.js';
+import { isRunDivision } from './divisions.js';
+
+// Register Chart.js components
+Chart.register(LineController, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+// Most runners that can be compared at once
+export const MAX_COMPARE_RUNNERS = 4;
+
+// Runners picked for comparison are remembered between pages
+const COMPARISON_STORAGE_KEY = 'compareRunners';
+
+// Line colours for each runner on the chart (amber first, to match the runner stats chart)
+const RUNNER_COLOURS = ['255, 202, 40', '54, 162, 235', '255, 99, 132', '75, 192, 192'];
+
+// Get the runner IDs currently picked for comparison
+export function getComparisonRunners() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARISON_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.slice(0, MAX_COMPARE_RUNNERS) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export function setComparisonRunners(runnerIds) {
+  localStorage.setItem(COMPARISON_STORAGE_KEY, JSON.stringify(runnerIds.slice(0, MAX_COMPARE_RUNNERS)));
+}
+
+// Add a runner to the comparison (the oldest pick is dropped when it's full)
+export function addToComparison(runnerId) {
+  const runnerIds = getComparisonRunners().filter(id => id !== runnerId);
+  runnerIds.push(runnerId);
+  setComparisonRunners(runnerIds.slice(-MAX_COMPARE_RUNNERS));
+  return getComparisonRunners();
+}
+
+export function removeFromComparison(runnerId) {
+  setComparisonRunners(getComparisonRunners().filter(id => id !== runnerId));
+  return getComparisonRunners();
+}
+
+// Get compare page URL for a list of runner IDs
+export function getCompareUrl(runnerIds) {
+  return `compare.html?runners=${runnerIds.join(',')}`;
+}
+
+export function comparePage() {
+  return {
+    runners: [],
+    missingRunners: [],
+    isLoading: true,
+    error: null,
+    chart: null,
+
+    init() {
+      // Get runner IDs from URL parameters, falling back to the saved comparison
+      const urlParams = new URLSearchParams(window.location.search);
+      const runnersParam = urlParams.get('runners');
+      const runnerIds = runnersParam
+        ? [...new Set(runnersParam.split(',').map(id => id.trim()).filter(id => id))]
+        : getComparisonRunners();
+
+      if (runnerIds.length < 2) {
+        this.error = 'Choose at least two runners to compare.';
+        this.isLoading = false;
+        return;
+      }
+
+      this.loadRunners(runnerIds.slice(0, MAX_COMPARE_RUNNERS));
+    },
+
+    loadRunners(runnerIds) {
+      this.isLoading = true;
+
+      Promise.all(runnerIds.map(runnerId =>
+        fetch(`runner-stats/${runnerId}.json`)
+          .then(response => (response.ok ? response.json() : null))
+          .catch(() => null)
+      ))
+        .then(results => {
+          this.runners = results.filter(runner => runner);
+          this.missingRunners = runnerIds.filter((runnerId, i) => !results[i]);
+
+          if (this.runners.length < 2) {
+            this.error = 'Runner not found. Please check the URL or search for another runner.';
+            this.isLoading = false;
+            return;
+          }
+
+          // Remember this comparison so more runners can be added from other pages
+          setComparisonRunners(this.runners.map(runner => runner.runner_id));
+          this.isLoading = false;
+
+          // Create chart after data is loaded and DOM is ready
+          this.$nextTick(() => {
+            this.createComparisonChart();
+          });
+        });
+    },
+
+    timeToSeconds(timeStr) {
+      if (!timeStr) return null;
+
+      // Remove any decimals or commas
+      timeStr = timeStr.replace(/\.\d+/, '').replace(/,\d+/, '');
+
+      const parts = timeStr.split(':');
+      if (parts.length === 2) {
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+      } else if (parts.length === 3) {
+        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+      }
+      return null;
+    },
+
+    secondsToTime(seconds) {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      const secs = seconds % 60;
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    },
+
+    // Gap between two times, e.g. "0:32" or "1:05"
+    formatMargin(seconds) {
+      const minutes = Math.floor(seconds / 60);
+      const secs = seconds % 60;
+      return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    },
+
+    runnerColour(index, alpha = 0.8) {
+      return `rgba(${RUNNER_COLOURS[index % RUNNER_COLOURS.length]}, ${alpha})`;
+    },
+
+    // A runner's results that can be compared: road race finishes (walk,
+    // buggy and wheelchair times aren't comparable with running times)
+    comparableResults(runner) {
+      return runner.results.filter(r => isFinisher(r) && isRunDivision(r));
+    },
+
+    // Every year any of the runners ran, oldest first
+    get allYears() {
+      const years = this.runners.flatMap(runner => this.comparableResults(runner).map(r => r.year));
+      return [...new Set(years)].sort((a, b) => a - b);
+    },
+
+    // Each runner's comparable result for a year (or null)
+    getResult(runner, year) {
+      return this.comparableResults(runner).find(r => r.year === year) || null;
+    },
+
+    // Years where at least two of the runners ran, newest first, with the
+    // finishing order and each runner's gap to the quickest
+    get yearByYear() {
+      return this.allYears
+        .map(year => {
+          const entries = this.runners.map(runner => {
+            const result = this.getResult(runner, year);
+            const seconds = result ? this.timeToSeconds(result.chip_time) : null;
+            return { runner_id: runner.runner_id, name: runner.name, result, seconds };
+          });
+
+          const timed = entries.filter(entry => entry.seconds !== null);
+          if (timed.length < 2) return null;
+
+          const fastest = Math.min(...timed.map(entry => entry.seconds));
+          timed.forEach(entry => {
+            entry.behind = entry.seconds - fastest;
+          });
+
+          const winners = timed.filter(entry => entry.behind === 0);
+          const runnerUp = timed.filter(entry => entry.behind > 0).sort((a, b) => a.behind - b.behind)[0];
+
+          return {
+            year,
+            entries,
+            winner: winners.length === 1 ? winners[0] : null,
+            margin: winners.length === 1 && runnerUp ? runnerUp.behind : 0
+          };
+        })
+        .filter(row => row)
+        .reverse();
+    },
+
+    // Head-to-head record for every pair of runners in years both ran
+    get headToHead() {
+      const pairs = [];
+
+      for (let i = 0; i < this.runners.length; i++) {
+        for (let j = i + 1; j < this.runners.length; j++) {
+          const pair = {
+            key: `${this.runners[i].runner_id}:${this.runners[j].runner_id}`,
+            first: this.runners[i],
+            second: this.runners[j],
+            firstWins: 0,
+            secondWins: 0,
+            ties: 0,
+            races: 0
+          };
+
+          this.comparableResults(this.runners[i]).forEach(result => {
+            const other = this.getResult(this.runners[j], result.year);
+            const seconds = this.timeToSeconds(result.chip_time);
+            const otherSeconds = other ? this.timeToSeconds(other.chip_time) : null;
+            if (seconds === null || otherSeconds === null) return;
+
+            pair.races++;
+            if (seconds < otherSeconds) pair.firstWins++;
+            else if (seconds > otherSeconds) pair.secondWins++;
+            else pair.ties++;
+          });
+
+          pairs.push(pair);
+        }
+      }
+
+      return pairs;
+    },
+
+    createComparisonChart() {
+      const ctx = document.getElementById('compareChart');
+      if (!ctx) return;
+
+      // Destroy existing chart if it exists
+      if (this.chart) {
+        this.chart.destroy();
+      }
+
+      // All years from the first to the last that any runner ran
+      const years = this.allYears;
+      const allYears = [];
+      for (let year = years[0]; year <= years[years.length - 1]; year++) {
+        allYears.push(year);
+      }
+
+      const datasets = this.runners.map((runner, index) => ({
+        label: runner.name,
+        data: allYears.map(year => {
+          const result = this.getResult(runner, year);
+          return result ? this.timeToSeconds(result.chip_time) : null;
+        }),
+        borderColor: this.runnerColour(index),
+        backgroundColor: this.runnerColour(index, 0.2),
+        tension: 0.1,
+        pointRadius: 5,
+        pointHoverRadius: 7,
+        spanGaps: true
+      }));
+
+      this.chart = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: allYears,
+          datasets
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              display: true,
+              position: 'bottom'
+            },
+            tooltip: {
+              callbacks: {
+                label: (context) => {
+                  if (context.parsed.y === null) return null;
+                  return `${context.dataset.label}: ${this.secondsToTime(context.parsed.y)}`;
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              ticks: {
+                callback: (value) => this.secondsToTime(Math.round(value)),
+                autoSkip: true,
+                maxTicksLimit: 8
+              },
+              title: {
+                display: true,
+                text: 'Finish Time'
+              }
+            },
+            x: {
+              title: {
+                display: true,
+                text: 'Year'
+              }
+            }
+          }
+        }
+      });
+    },
+
+    // Drop a runner from the comparison and reload with the others
+    removeRunner(runnerId) {
+      const runnerIds = this.runners.map(runner => runner.runner_id).filter(id => id !== runnerId);
+      setComparisonRunners(runnerIds);
+      window.location.href = runnerIds.length > 0 ? getCompareUrl(runnerIds) : 'runner-search.html';
+    },
+
+    get canAddRunner() {
+      return this.runners.length < MAX_COMPARE_RUNNERS;
+    },
+
+    getRunnerStatsUrl(runnerId) {
+      return runnerId ? `runner-stats.html?runner=${runnerId}` : null;
+    },
+
+    getResultsUrl(year, position) {
+      return `results.html?year=${year}&position=${position}`;
+    }
+  };
+}
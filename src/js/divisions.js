@@ -0,0 +1,21 @@
+// Participation divisions (see scripts/divisions.js): the road race (run) and
+// the walk, buggy and wheelchair divisions, which are placed separately.
+// Results without a division field are in the road race.
+
+// Division codes and their names, in display order
+export const DIVISIONS = {
+  run: 'Run',
+  walk: 'Walk',
+  buggy: 'Buggy',
+  wheelchair: 'Wheelchair'
+};
+
+// Get a result's division code (run if it has no division field)
+export function getDivision(result) {
+  return (result && result.division) || 'run';
+}
+
+// Check if a result is in the road race (the running division)
+export function isRunDivision(result) {
+  return getDivision(result) === 'run';
+}
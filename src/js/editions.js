@@ -0,0 +1,71 @@
+// Facts about each year's race - date, start time, course, timing, weather and
+// notes - published from data/editions.json (see scripts/generate-editions.js).
+// Every fact is optional, and most years only have some of them.
+
+let editionsPromise = null;
+
+// Fetch the registry once and share the promise between callers. Resolves to
+// a year -> edition lookup, which is empty if the registry can't be loaded.
+export function loadEditions() {
+  if (!editionsPromise) {
+    editionsPromise = fetch('results/editions.json')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error('Response not OK');
+        }
+        return response.json();
+      })
+      .then(data => Object.fromEntries((data.editions || []).map(edition => [edition.year, edition])))
+      .catch(error => {
+        console.error('Error loading editions:', error);
+        return {};
+      });
+  }
+  return editionsPromise;
+}
+
+// Format an edition's date, e.g. "2025-12-31" -> "Wed, 31 Dec 2025"
+export function formatEditionDate(edition) {
+  if (!edition || !edition.date) return '';
+  return new Date(`${edition.date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Describe an edition's conditions, e.g. "Dry, strong westerly wind, 6°C"
+export function formatEditionConditions(edition) {
+  if (!edition) return '';
+  const parts = [];
+  if (edition.weather) parts.push(edition.weather);
+  if (typeof edition.temperature_c === 'number') parts.push(`${edition.temperature_c}°C`);
+  return parts.join(', ');
+}
+
+// Wrap text into lines of about maxLength characters (chart tooltips don't wrap)
+function wrapText(text, maxLength = 45) {
+  const lines = [];
+  text.split(/\s+/).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= maxLength) {
+      lines[lines.length - 1] = last + ' ' + word;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+// Tooltip lines noting an edition's conditions and notes, e.g. for the
+// runner stats performance chart
+export function getEditionTooltipLines(edition) {
+  const lines = [];
+  const conditions = formatEditionConditions(edition);
+  if (conditions) lines.push(`Conditions: ${conditions}`);
+  if (edition && edition.notes) lines.push(...wrapText(edition.notes));
+  return lines;
+}
+
+// Check if an edition has anything worth showing beyond its year
+export function hasEditionDetails(edition) {
+  return !!edition && Object.keys(edition).some(field => field !== 'year');
+}
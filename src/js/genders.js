@@ -0,0 +1,56 @@
+// Gender divisions, from the first letter of a category (see scripts/genders.js):
+// M (Male), F (Female) and X (Non-binary). Other categories, e.g. WCH, have no gender.
+
+// Gender codes and their names, in display order
+export const GENDERS = {
+  M: 'Male',
+  F: 'Female',
+  X: 'Non-binary'
+};
+
+// File name slug for each gender's record lists (e.g. fastest-50-nonbinary)
+export const GENDER_SLUGS = {
+  M: 'male',
+  F: 'female',
+  X: 'nonbinary'
+};
+
+// Get the gender code for a category, or null if it has no gender
+export function getGender(category) {
+  if (!category) return null;
+  const first = category.trim().charAt(0).toUpperCase();
+  return GENDERS[first] ? first : null;
+}
+
+// Display order of a gender (genders first, in GENDERS order)
+export function getGenderOrder(gender) {
+  const order = Object.keys(GENDERS).indexOf(gender);
+  return order === -1 ? Object.keys(GENDERS).length : order;
+}
+
+// Sort key for categories: by gender, then juniors, open and masters by age
+// (matches scripts/genders.js)
+function categorySortKey(category) {
+  const upper = category.toUpperCase();
+  const genderOrder = getGenderOrder(getGender(category));
+  let ageOrder = 500;
+  if (/U\d+|J/.test(upper.slice(1))) {
+    ageOrder = 0;
+  } else if (/^.(O|0)$/.test(upper)) {
+    ageOrder = 1;
+  } else if (/^.\d+$/.test(upper)) {
+    ageOrder = parseInt(upper.slice(1));
+  }
+  return [genderOrder, ageOrder, upper];
+}
+
+// Compare two categories in display order (for Array.sort)
+export function compareCategories(a, b) {
+  const keyA = categorySortKey(a);
+  const keyB = categorySortKey(b);
+  for (let i = 0; i < keyA.length; i++) {
+    if (keyA[i] < keyB[i]) return -1;
+    if (keyA[i] > keyB[i]) return 1;
+  }
+  return 0;
+}
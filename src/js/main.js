@@ -3,7 +3,10 @@ import { resultsApp } from './results.js';
 import { recordsApp } from './records.js';
 import { initCourseMap } from './course.js';
 import { runnerSearchPage, runnerStatsPage } from './runner.js';
-import { checkFor2025Results, results2025Available } from './results2025.js';
+import { clubStatsPage } from './club.js';
+import { comparePage } from './compare.js';
+import { statsPage } from './stats.js';
+import { checkForLatestResults } from './resultsIndex.js';
 
 // Make Alpine.js available globally
 window.Alpine = Alpine;
@@ -13,10 +16,12 @@ window.resultsApp = resultsApp;
 window.recordsApp = recordsApp;
 window.runnerSearchPage = runnerSearchPage;
 window.runnerStatsPage = runnerStatsPage;
-window.results2025Available = results2025Available;
+window.clubStatsPage = clubStatsPage;
+window.comparePage = comparePage;
+window.statsPage = statsPage;
 
-// Initialize Alpine store for 2025 results
-Alpine.store('results2025', { available: results2025Available });
+// Initialize Alpine store for the results manifest
+Alpine.store('resultsIndex', { loaded: false, latestYear: null, raceYear: null });
 
 // Initialize Alpine.js
 Alpine.start();
@@ -26,5 +31,5 @@ if (document.getElementById('course-map')) {
   initCourseMap();
 }
 
-// Check if 2025 results are available
-checkFor2025Results();
\ No newline at end of file
+// Check which year's results are available
+checkForLatestResults();
\ No newline at end of file
@@ -0,0 +1,34 @@
+// Shared positions: runners (or record holders) on the same time share a
+// position, shown with an "=" in front, e.g. "=3". Non-finishers have no
+// position and show their status instead, e.g. "DNF".
+
+// Non-finisher statuses (see scripts/result-status.js)
+export const RESULT_STATUSES = {
+  DNF: 'Did not finish',
+  DQ: 'Disqualified',
+  NT: 'No time'
+};
+
+// Check if a result is a finish (finishers have no status, or "FIN")
+export function isFinisher(result) {
+  return !result.status || result.status === 'FIN';
+}
+
+// Format a position, e.g. 3 -> "3", or "=3" if it's shared
+export function formatPosition(position, isTied) {
+  if (position === null || position === undefined || position === '') return '';
+  return isTied ? `=${position}` : `${position}`;
+}
+
+// Get the positions that appear more than once in a list of rows (as a Set)
+export function getTiedPositions(rows, getPosition) {
+  const seen = new Set();
+  const tied = new Set();
+  rows.forEach(row => {
+    const position = getPosition(row);
+    if (position === null || position === undefined || position === '') return;
+    if (seen.has(position)) tied.add(position);
+    seen.add(position);
+  });
+  return tied;
+}
@@ -1,3 +1,33 @@
+import { Chart, LineController, CategoryScale, LinearScale, PointElement, LineElement, Tooltip } from 'chart.js';
+import { getClubStatsUrl } from './clubs.js';
+import { loadResultsIndex } from './resultsIndex.js';
+import { formatPosition, getTiedPositions } from './positions.js';
+
+// Register Chart.js components
+Chart.register(LineController, CategoryScale, LinearScale, PointElement, LineElement, Tooltip);
+
+// Record History chart colour (amber, matching the site palette)
+const RECORD_COLOUR = '255, 202, 40';
+
+// Each records dropdown option: its URL parameter, the file it loads from
+// records/ and how it's shown (see isFastest50 and the other view getters)
+const RECORD_LISTS = {
+  'Fastest 50 Male': { param: 'fastest-50-male', file: 'fastest-50-male.json', view: 'fastest-50' },
+  'Fastest 50 Female': { param: 'fastest-50-female', file: 'fastest-50-female.json', view: 'fastest-50' },
+  'Fastest 50 Non-binary': { param: 'fastest-50-nonbinary', file: 'fastest-50-nonbinary.json', view: 'fastest-50' },
+  'Fastest Lap Male': { param: 'fastest-lap-male', file: 'fastest-lap-male.json', view: 'fastest-lap' },
+  'Fastest Lap Female': { param: 'fastest-lap-female', file: 'fastest-lap-female.json', view: 'fastest-lap' },
+  'Fastest Lap Non-binary': { param: 'fastest-lap-nonbinary', file: 'fastest-lap-nonbinary.json', view: 'fastest-lap' },
+  'Masters Men': { param: 'masters-men', file: 'masters-men.json', view: 'category-records' },
+  'Masters Women': { param: 'masters-women', file: 'masters-women.json', view: 'category-records' },
+  'Masters Non-binary': { param: 'masters-nonbinary', file: 'masters-nonbinary.json', view: 'category-records' },
+  'Junior & Open': { param: 'junior-open', file: 'junior-open.json', view: 'category-records' },
+  'Age Graded': { param: 'age-graded', file: 'age-graded.json', view: 'age-graded' },
+  'Most Appearances': { param: 'most-appearances', file: 'most-appearances.json', view: 'appearances' },
+  'Lough 5 Legends': { param: 'legends', file: 'legends.json', view: 'appearances' },
+  'Record History': { param: 'record-history', file: 'record-progression.json', view: 'record-history' }
+};
+
 export function recordsApp() {
   return {
     searchTerm: '',
@@ -8,28 +38,31 @@ export function recordsApp() {
     isMobileView: false,
     isLoading: true,
     highlightRunnerId: null,
+    // Fastest 50 lists: 'runners' (each runner's best time) or 'performances' (every result counts)
+    listMode: 'runners',
+    // Category (masters, junior, open) -> all-time top 10 rows, and the categories currently expanded
+    rankings: {},
+    expandedCategories: [],
+    // Record History: the record being shown (e.g. "Male", "M40") and the latest year with results
+    selectedRecord: 'Male',
+    latestYear: null,
+    recordChart: null,
 
     init() {
       // Check URL parameters for category and runner_id
       const urlParams = new URLSearchParams(window.location.search);
       const categoryParam = urlParams.get('category');
       const runnerIdParam = urlParams.get('runner');
+      const recordParam = urlParams.get('record');
+      const modeParam = urlParams.get('mode');
 
       // Set the category from URL parameter if it exists and is valid
+      // (either its kebab-case parameter or the dropdown value itself)
       if (categoryParam) {
-        // Convert kebab-case URL parameter to title case
-        const categoryMap = {
-          'fastest-50-male': 'Fastest 50 Male',
-          'fastest-50-female': 'Fastest 50 Female',
-          'masters-men': 'Masters Men',
-          'masters-women': 'Masters Women'
-        };
-
-        // Support both kebab-case and title case formats
-        const validCategories = ['Fastest 50 Male', 'Fastest 50 Female', 'Masters Men', 'Masters Women'];
-        if (categoryMap[categoryParam]) {
-          this.selectedCategory = categoryMap[categoryParam];
-        } else if (validCategories.includes(categoryParam)) {
+        const category = Object.keys(RECORD_LISTS).find(name => RECORD_LISTS[name].param === categoryParam);
+        if (category) {
+          this.selectedCategory = category;
+        } else if (RECORD_LISTS[categoryParam]) {
           this.selectedCategory = categoryParam;
         }
       }
@@ -39,6 +72,16 @@ export function recordsApp() {
         this.highlightRunnerId = runnerIdParam;
       }
 
+      // Set the Fastest 50 mode from URL parameter
+      if (modeParam === 'performances') {
+        this.listMode = 'performances';
+      }
+
+      // Set the Record History record from URL parameter (checked once the data has loaded)
+      if (recordParam) {
+        this.selectedRecord = recordParam;
+      }
+
       this.loadRecordsForCategory();
       this.checkViewportWidth();
 
@@ -48,20 +91,48 @@ export function recordsApp() {
 
         // Update URL when category changes (use kebab-case for cleaner URLs)
         const url = new URL(window.location);
-        const categoryToKebab = {
-          'Fastest 50 Male': 'fastest-50-male',
-          'Fastest 50 Female': 'fastest-50-female',
-          'Masters Men': 'masters-men',
-          'Masters Women': 'masters-women'
-        };
-        url.searchParams.set('category', categoryToKebab[this.selectedCategory] || this.selectedCategory);
+        url.searchParams.set('category', this.recordList.param);
+        if (this.isRecordHistory) {
+          url.searchParams.set('record', this.selectedRecord);
+        } else {
+          url.searchParams.delete('record');
+        }
+        this.setModeParam(url);
         window.history.pushState({}, '', url);
       });
 
+      // Switch between the fastest runners and fastest performances lists
+      this.$watch('listMode', () => {
+        if (!this.isFastest50) return;
+        this.loadRecordsForCategory();
+
+        const url = new URL(window.location);
+        this.setModeParam(url);
+        window.history.replaceState({}, '', url);
+      });
+
+      // Redraw the Record History chart when a different record is chosen
+      this.$watch('selectedRecord', () => {
+        if (!this.isRecordHistory) return;
+        const url = new URL(window.location);
+        url.searchParams.set('record', this.selectedRecord);
+        window.history.replaceState({}, '', url);
+        this.$nextTick(() => this.createRecordChart());
+      });
+
       // Check viewport width on resize
       window.addEventListener('resize', this.checkViewportWidth);
     },
 
+    // Only the Fastest 50 lists have a mode, and runners mode is the default
+    setModeParam(url) {
+      if (this.isFastest50 && this.listMode === 'performances') {
+        url.searchParams.set('mode', 'performances');
+      } else {
+        url.searchParams.delete('mode');
+      }
+    },
+
     // Check if we're in mobile view (less than 1000px)
     checkViewportWidth() {
       this.isMobileView = window.innerWidth < 1000;
@@ -80,44 +151,123 @@ export function recordsApp() {
       }
     },
 
-    get isMastersRecords() {
-      return ['Masters Men', 'Masters Women'].includes(this.selectedCategory);
+    getClubStatsUrl(club) {
+      return getClubStatsUrl(club);
+    },
+
+    // The selected dropdown option's file and view (see RECORD_LISTS)
+    get recordList() {
+      return RECORD_LISTS[this.selectedCategory];
+    },
+
+    // Fastest 50 lists can show fastest runners or fastest performances
+    get isFastest50() {
+      return this.recordList.view === 'fastest-50';
+    },
+
+    get isPerformances() {
+      return this.isFastest50 && this.listMode === 'performances';
+    },
+
+    // Fastest Lap lists rank runners by their Lap of Lough split
+    get isFastestLap() {
+      return this.recordList.view === 'fastest-lap';
+    },
+
+    // Category records: one record holder per category, each expandable into a top 10
+    get isCategoryRecords() {
+      return this.recordList.view === 'category-records';
+    },
+
+    get isAgeGraded() {
+      return this.recordList.view === 'age-graded';
+    },
+
+    // Most Appearances and Legends are ranked by races run rather than by a single performance
+    get isAppearances() {
+      return this.recordList.view === 'appearances';
+    },
+
+    // Record History follows one record (fastest man, woman, non-binary runner or category) through the years
+    get isRecordHistory() {
+      return this.recordList.view === 'record-history';
+    },
+
+    // Records with a history, in the order they're listed in the file
+    get recordCategories() {
+      return [...new Set(this.results.map(record => record.category))];
+    },
+
+    // Every time the selected record was set or broken, oldest first
+    get recordHistoryRows() {
+      return this.results.filter(record => record.category === this.selectedRecord);
     },
 
     loadRecordsForCategory() {
       this.isLoading = true;
-      let filename = '';
-
-      // Determine which file to load based on the selected category
-      if (this.selectedCategory === 'Fastest 50 Male') {
-        filename = 'fastest-50-male.json';
-      } else if (this.selectedCategory === 'Fastest 50 Female') {
-        filename = 'fastest-50-female.json';
-      } else if (this.selectedCategory === 'Masters Men') {
-        filename = 'masters-men.json';
-      } else if (this.selectedCategory === 'Masters Women') {
-        filename = 'masters-women.json';
-      }
-
-      fetch(`records/${filename}`)
-        .then(response => response.json())
-        .then(data => {
+      let filename = this.recordList.file;
+
+      // Fastest performances lists sit alongside the fastest runners lists
+      if (this.isPerformances) {
+        filename = filename.replace('.json', '-performances.json');
+      }
+
+      // Category record views also load each category's all-time top 10
+      const requests = [fetch(`records/${filename}`).then(response => response.json())];
+      if (this.isCategoryRecords) {
+        requests.push(
+          fetch(`records/${filename.replace('.json', '-rankings.json')}`)
+            .then(response => (response.ok ? response.json() : []))
+            .catch(() => [])
+        );
+      }
+
+      // Record History runs its chart up to the latest year with results
+      if (this.isRecordHistory) {
+        loadResultsIndex()
+          .then(index => {
+            this.latestYear = index.latest_year;
+            this.$nextTick(() => this.createRecordChart());
+          })
+          .catch(() => {});
+      }
+
+      Promise.all(requests)
+        .then(([data, rankings = []]) => {
           // Transform the data to match the expected format
-          this.results = data.map(record => {
-            return {
-              position: record.Position || '',
-              year: record.Year || '',
-              name: record.Name || '',
-              club: record.Club || '',
-              category: record.Category || '',
-              finish_time: record["Finish Time"] || '',
-              runner_id: record.runner_id || null
-            };
-          }).filter(record => record !== null);
+          this.results = data.map(record => this.toRecordRow(record)).filter(record => record !== null);
+
+          // Runners on the same time (or races) share a position, shown as "=3".
+          // Category records list every holder of a shared record, so mark the later ones.
+          const tiedPositions = getTiedPositions(this.results, row => row.position);
+          this.results.forEach((row, index) => {
+            row.tied = !this.isCategoryRecords && tiedPositions.has(row.position);
+            row.co_holder = this.isCategoryRecords && index > 0 && this.results[index - 1].category === row.category;
+          });
+
+          this.rankings = {};
+          rankings.forEach(record => {
+            this.rankings[record.Category] = this.rankings[record.Category] || [];
+            this.rankings[record.Category].push({ ...this.toRecordRow(record), rank: record.Rank, is_ranking: true });
+          });
+          Object.values(this.rankings).forEach(rows => {
+            const tiedRanks = getTiedPositions(rows, row => row.rank);
+            rows.forEach(row => { row.tied = tiedRanks.has(row.rank); });
+          });
+          this.expandedCategories = [];
           this.isLoading = false;
 
+          if (this.isRecordHistory) {
+            // Fall back to the first record if the requested one has no history
+            if (!this.recordCategories.includes(this.selectedRecord)) {
+              this.selectedRecord = this.recordCategories[0] || 'Male';
+            }
+          }
+          this.$nextTick(() => this.createRecordChart());
+
           // Scroll to highlighted runner if specified
           if (this.highlightRunnerId) {
+            this.expandCategoriesForRunner(this.highlightRunnerId);
             this.$nextTick(() => {
               this.scrollToRunner(this.highlightRunnerId);
             });
@@ -126,45 +276,225 @@ export function recordsApp() {
         .catch(error => {
           console.error(`Error loading records for ${this.selectedCategory}:`, error);
           this.results = [];
+          this.rankings = {};
           this.isLoading = false;
         });
     },
 
-    scrollToRunner(runnerId) {
-      // Find the row with this runner_id
-      const rows = document.querySelectorAll('.records-table tbody tr');
-      const targetRow = Array.from(rows).find(row => {
-        const nameCell = row.querySelector('td[data-label="Name"]');
-        // Find the runner in results by matching the name
-        const rowIndex = Array.from(rows).indexOf(row);
-        return this.filteredResults[rowIndex]?.runner_id === runnerId;
+    toRecordRow(record) {
+      return {
+        position: record.Position || '',
+        year: record.Year || '',
+        name: record.Name || '',
+        club: record.Club || '',
+        category: record.Category || '',
+        finish_time: record["Finish Time"] || record["Best Time"] || '',
+        lap_time: record["Lap Time"] || '',
+        age_grade: record["Age Grade"] || '',
+        races: record.Races || '',
+        years: record["First Year"] ? `${record["First Year"]}-${record["Last Year"]}` : '',
+        longest_streak: record["Longest Streak"] || '',
+        margin: record.Margin || '',
+        runner_id: record.runner_id || null
+      };
+    },
+
+    // A category's ranking under its record holder(s) - everyone below 1st
+    getRankingRows(category) {
+      return (this.rankings[category] || []).filter(row => row.rank > 1);
+    },
+
+    // A category can be expanded if there's more than the record holder(s) in its ranking
+    hasRanking(category) {
+      return this.getRankingRows(category).length > 0;
+    },
+
+    // e.g. "=3" for a position shared with another runner
+    formatPosition(position, isTied) {
+      return formatPosition(position, isTied);
+    },
+
+    // Category ranking place, e.g. "#4" or "=#4" if shared
+    formatRank(row) {
+      return formatPosition(`#${row.rank}`, row.tied);
+    },
+
+    isExpanded(category) {
+      return this.expandedCategories.includes(category);
+    },
+
+    toggleCategory(category) {
+      this.expandedCategories = this.isExpanded(category)
+        ? this.expandedCategories.filter(c => c !== category)
+        : [...this.expandedCategories, category];
+    },
+
+    get allExpanded() {
+      const expandable = Object.keys(this.rankings).filter(category => this.hasRanking(category));
+      return expandable.length > 0 && expandable.every(category => this.isExpanded(category));
+    },
+
+    toggleAllCategories() {
+      this.expandedCategories = this.allExpanded
+        ? []
+        : Object.keys(this.rankings).filter(category => this.hasRanking(category));
+    },
+
+    // Expand every category a deep-linked runner is ranked in (so their row can be shown)
+    expandCategoriesForRunner(runnerId) {
+      Object.keys(this.rankings).forEach(category => {
+        if (this.getRankingRows(category).some(row => row.runner_id === runnerId) && !this.isExpanded(category)) {
+          this.expandedCategories.push(category);
+        }
       });
+    },
+
+    // Scroll to a runner's first row and highlight all of their rows
+    // (they can have several in the performances lists and top 10s)
+    scrollToRunner(runnerId) {
+      const rows = Array.from(document.querySelectorAll('.records-table tbody tr'));
+      const targetRows = rows.filter((row, rowIndex) => this.displayRows[rowIndex]?.runner_id === runnerId);
 
-      if (targetRow) {
-        // Scroll the row into view
-        targetRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      if (targetRows.length > 0) {
+        // Scroll the first row into view
+        targetRows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
 
         // Add highlight class
-        targetRow.classList.add('highlight-row');
+        targetRows.forEach(row => row.classList.add('highlight-row'));
 
         // Remove highlight after 3 seconds
         setTimeout(() => {
-          targetRow.classList.remove('highlight-row');
+          targetRows.forEach(row => row.classList.remove('highlight-row'));
         }, 3000);
       }
     },
 
     get filteredResults() {
+      return this.filterRecords(this.results);
+    },
+
+    // Rows shown in the table. Categories that are expanded show their
+    // top 10 under the record holder(s), and searches look through every ranked runner.
+    get displayRows() {
+      if (this.isRecordHistory) {
+        return this.filterRecords(this.recordHistoryRows);
+      }
+
+      const rankedRows = Object.values(this.rankings).flat();
+      if (!this.isCategoryRecords || rankedRows.length === 0) {
+        return this.filteredResults;
+      }
+
+      if (this.searchTerm.trim()) {
+        return this.filterRecords(rankedRows);
+      }
+
+      // The ranking goes under the last holder of a shared record
+      return this.results.flatMap((record, index) => (
+        this.isExpanded(record.category) && this.results[index + 1]?.category !== record.category
+          ? [record, ...this.getRankingRows(record.category)]
+          : [record]
+      ));
+    },
+
+    timeToSeconds(timeStr) {
+      if (!timeStr) return null;
+
+      const parts = timeStr.split(':');
+      if (parts.length === 2) {
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+      } else if (parts.length === 3) {
+        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+      }
+      return null;
+    },
+
+    secondsToTime(seconds) {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      const secs = seconds % 60;
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    },
+
+    // Step chart of the selected record: the record standing at the end of each
+    // year, from the year it was first set up to the latest results
+    createRecordChart() {
+      const ctx = document.getElementById('recordChart');
+      const rows = this.recordHistoryRows;
+
+      if (this.recordChart) {
+        this.recordChart.destroy();
+        this.recordChart = null;
+      }
+      if (!ctx || !this.isRecordHistory || rows.length === 0) return;
+
+      const firstYear = Number(rows[0].year);
+      const lastYear = Math.max(Number(rows[rows.length - 1].year), Number(this.latestYear) || 0);
+      const years = [];
+      for (let year = firstYear; year <= lastYear; year++) {
+        years.push(year);
+      }
+
+      // The record at the end of each year, and whether it was set that year
+      const points = years.map(year => {
+        const record = rows.filter(row => Number(row.year) <= year).pop();
+        return { record, isNew: Number(record.year) === year };
+      });
+
+      this.recordChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+          labels: years,
+          datasets: [{
+            label: this.selectedRecord,
+            data: points.map(point => this.timeToSeconds(point.record.finish_time)),
+            borderColor: `rgba(${RECORD_COLOUR}, 1)`,
+            backgroundColor: `rgba(${RECORD_COLOUR}, 1)`,
+            stepped: 'after',
+            pointRadius: points.map(point => (point.isNew ? 5 : 0)),
+            pointHoverRadius: points.map(point => (point.isNew ? 7 : 0))
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            tooltip: {
+              filter: (context) => points[context.dataIndex].isNew,
+              callbacks: {
+                label: (context) => {
+                  const record = points[context.dataIndex].record;
+                  return `${record.name} - ${this.secondsToTime(context.parsed.y)}`;
+                }
+              }
+            }
+          },
+          scales: {
+            y: {
+              ticks: {
+                callback: (value) => this.secondsToTime(Math.round(value)),
+                maxTicksLimit: 8
+              },
+              title: { display: true, text: 'Record' }
+            },
+            x: { title: { display: true, text: 'Year' } }
+          }
+        }
+      });
+    },
+
+    filterRecords(records) {
       if (!this.searchTerm.trim()) {
-        return this.results;
+        return records;
       }
 
       const term = this.searchTerm.toLowerCase().trim();
 
-      return this.results.filter(runner => {
+      return records.filter(runner => {
         return (
           (runner.name && runner.name.toLowerCase().includes(term)) ||
           (runner.year && runner.year.toString().includes(term)) ||
+          (runner.years && runner.years.includes(term)) ||
           (runner.category && runner.category.toLowerCase().includes(term)) ||
           (runner.club && runner.club.toLowerCase().includes(term))
         );
@@ -0,0 +1,64 @@
+// Badges for a runner's own history (from add-history-fields.js), shown next
+// to the medals in the results table and in the runner stats race history.
+// Results excluded from records (data/record-eligibility.json) are marked too,
+// as are walk, buggy and wheelchair results (labelled with their division).
+
+import { DIVISIONS, getDivision, isRunDivision } from './divisions.js';
+
+// Every nth Lough 5 gets a race-number badge (5th, 10th, 15th, ...)
+const RACE_MILESTONE_INTERVAL = 5;
+
+// Ordinal for a number, e.g. 1st, 2nd, 3rd, 11th, 22nd
+export function getOrdinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+  return number + ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+}
+
+// Time saved on a PB, e.g. "0:45" or "2:03"
+export function formatImprovement(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Get the history badges for a result ({ key, label, title } for each)
+export function getResultBadges(result) {
+  const badges = [];
+  if (!result) return badges;
+
+  if (!isRunDivision(result)) {
+    const division = DIVISIONS[getDivision(result)] || getDivision(result);
+    badges.push({ key: 'division', label: division, title: `${division} division` });
+  }
+
+  if (result.is_pb) {
+    badges.push({
+      key: 'pb',
+      label: result.pb_improvement_seconds ? `PB −${formatImprovement(result.pb_improvement_seconds)}` : 'PB',
+      title: 'Personal best'
+    });
+  }
+
+  if (result.is_debut) {
+    badges.push({ key: 'debut', label: 'Debut', title: 'First Lough 5' });
+  }
+
+  if (result.race_number && result.race_number % RACE_MILESTONE_INTERVAL === 0) {
+    badges.push({
+      key: 'milestone',
+      label: `${getOrdinal(result.race_number)} Lough 5`,
+      title: `${getOrdinal(result.race_number)} Lough 5`
+    });
+  }
+
+  if (result.first_in_category && result.category) {
+    badges.push({ key: 'category', label: `New ${result.category}`, title: `First race as ${result.category}` });
+  }
+
+  if (result.record_eligible === false) {
+    badges.push({ key: 'ineligible', label: 'Not record-eligible', title: result.ineligible_reason || 'Not record-eligible' });
+  }
+
+  return badges;
+}
@@ -1,9 +1,51 @@
+import { loadResultsIndex } from './resultsIndex.js';
+import { getClubStatsUrl } from './clubs.js';
+import { getResultBadges, getOrdinal } from './resultBadges.js';
+import { formatPosition, isFinisher, RESULT_STATUSES } from './positions.js';
+import { GENDERS, getGender, compareCategories } from './genders.js';
+import { DIVISIONS, getDivision } from './divisions.js';
+import { loadEditions, formatEditionDate, formatEditionConditions, hasEditionDetails } from './editions.js';
+
+// Columns that can be sorted, and how their values compare
+const SORTABLE_COLUMNS = {
+  position: 'number',
+  bib: 'number',
+  name: 'text',
+  club: 'text',
+  age_group: 'text',
+  two_miles: 'time',
+  lap_of_lough: 'time',
+  chip_time: 'time',
+  gun_time: 'time'
+};
+
+// Split points in course order (see scripts/add-split-fields.js)
+const SPLIT_POINTS = [
+  { key: 'lap_of_lough', label: 'Lap of Lough', shortLabel: 'Lap' },
+  { key: 'two_miles', label: '2 Miles', shortLabel: '2 Mi' }
+];
+
 export function resultsApp() {
   return {
     searchTerm: '',
-    selectedYear: '2025',
+    resultsIndex: null,
+    events: [],
+    selectedEvent: '',
+    defaultEvent: '',
+    selectedYear: '',
+    defaultYear: '',
+    years: [],
     results: [],
-    femaleOnly: false,
+    genderFilter: '',
+    genders: GENDERS,
+    categoryFilter: '',
+    divisionFilter: '',
+    divisions: DIVISIONS,
+    editions: {},
+    sortKeys: [],
+    view: 'results',
+    teams: null,
+    teamsLoading: false,
     highlightPosition: null,
     showModal: false,
     selectedRunner: {},
@@ -13,12 +55,96 @@ export function resultsApp() {
     popupTimer: null,
 
     init() {
-      // Read URL parameters on page load
-      this.readUrlParams();
-
-      this.loadResultsForYear();
       this.checkViewportWidth();
 
+      // Load the results manifest before anything that depends on the year
+      loadResultsIndex()
+        .then(index => {
+          this.resultsIndex = index;
+          this.events = index.events || [];
+          this.defaultEvent = index.default_event || '';
+          this.selectedEvent = this.defaultEvent;
+          this.useEventYears();
+
+          // Read URL parameters on page load
+          this.readUrlParams();
+
+          this.loadResultsForYear();
+          this.watchFilters();
+        })
+        .catch(error => {
+          console.error('Error loading results index:', error);
+          this.years = [];
+          this.results = [];
+          this.isLoading = false;
+        });
+
+      // Edition details (date, conditions, notes) for the info panel
+      loadEditions().then(editions => {
+        this.editions = editions;
+      });
+
+      // Check viewport width on resize
+      window.addEventListener('resize', this.checkViewportWidth);
+
+      // Check if we should show the popup notification
+      this.$nextTick(() => {
+        this.checkPopupNotification();
+      });
+    },
+
+    // Use the selected event's years, starting at its latest year
+    // (the main race's years are the manifest's top-level years)
+    useEventYears() {
+      const event = this.events.find(e => e.id === this.selectedEvent);
+      const index = this.resultsIndex;
+      this.years = event && event.years ? event.years : index.years;
+      this.defaultYear = String(event && event.years ? event.latest_year : index.default_year);
+      this.selectedYear = this.defaultYear;
+    },
+
+    // Check whether the main race (rather than e.g. the fun run) is selected
+    get isDefaultEvent() {
+      return this.selectedEvent === this.defaultEvent;
+    },
+
+    get selectedEventName() {
+      return this.events.find(e => e.id === this.selectedEvent)?.name || '';
+    },
+
+    // The selected year's edition details, if any (editions are for the main race)
+    get selectedEdition() {
+      const edition = this.isDefaultEvent ? this.editions[this.selectedYear] : null;
+      return hasEditionDetails(edition) ? edition : null;
+    },
+
+    get selectedEditionDate() {
+      return formatEditionDate(this.selectedEdition);
+    },
+
+    get selectedEditionConditions() {
+      return formatEditionConditions(this.selectedEdition);
+    },
+
+    // Keep results and URL in sync with the filters once the year is known
+    watchFilters() {
+      // Watch for changes to the selected event
+      this.$watch('selectedEvent', () => {
+        // Team results are only kept for the main race
+        if (!this.isDefaultEvent && this.view === 'teams') {
+          this.view = 'results';
+        }
+
+        // Switching event moves to its latest year, which loads its results
+        // (unless it's the year already selected)
+        const year = this.selectedYear;
+        this.useEventYears();
+        if (this.selectedYear === year) {
+          this.loadResultsForYear();
+        }
+        this.updateUrlParams();
+      });
+
       // Watch for changes to the selected year
       this.$watch('selectedYear', () => {
         this.loadResultsForYear();
@@ -30,17 +156,31 @@ export function resultsApp() {
         this.updateUrlParams();
       });
 
-      // Watch for changes to the female only toggle
-      this.$watch('femaleOnly', () => {
+      // Watch for changes to the gender filter
+      this.$watch('genderFilter', () => {
+        // Drop a category filter that no longer matches the chosen gender
+        if (this.categoryFilter && !this.availableCategories.includes(this.categoryFilter)) {
+          this.categoryFilter = '';
+        }
         this.updateUrlParams();
       });
 
-      // Check viewport width on resize
-      window.addEventListener('resize', this.checkViewportWidth);
+      // Watch for changes to the category filter
+      this.$watch('categoryFilter', () => {
+        this.updateUrlParams();
+      });
 
-      // Check if we should show the popup notification
-      this.$nextTick(() => {
-        this.checkPopupNotification();
+      // Watch for changes to the division filter
+      this.$watch('divisionFilter', () => {
+        this.updateUrlParams();
+      });
+
+      // Watch for changes to the view (results, splits or teams)
+      this.$watch('view', () => {
+        if (this.view === 'teams' && this.teams === null) {
+          this.loadTeamsForYear();
+        }
+        this.updateUrlParams();
       });
     },
 
@@ -89,11 +229,17 @@ export function resultsApp() {
     readUrlParams() {
       const urlParams = new URLSearchParams(window.location.search);
 
+      // Set selectedEvent from URL parameter if it exists (before the year,
+      // as each event has its own years)
+      const eventParam = urlParams.get('event');
+      if (eventParam && eventParam !== this.selectedEvent && this.events.some(e => e.id === eventParam)) {
+        this.selectedEvent = eventParam;
+        this.useEventYears();
+      }
+
       // Set selectedYear from URL parameter if it exists
       const yearParam = urlParams.get('year');
-      if (yearParam && ['2025', '2024', '2023', '2022', '2021', '2020', '2019', '2018',
-        '2017', '2016', '2015', '2014', '2013', '2012', '2011',
-        '2010', '2009'].includes(yearParam)) {
+      if (yearParam && this.years.some(entry => String(entry.year) === yearParam)) {
         this.selectedYear = yearParam;
       }
 
@@ -103,10 +249,44 @@ export function resultsApp() {
         this.searchTerm = searchParam;
       }
 
-      // Set femaleOnly from URL parameter if it exists
-      const femaleParam = urlParams.get('femaleOnly');
-      if (femaleParam === 'true') {
-        this.femaleOnly = true;
+      // Set genderFilter from URL parameter if it exists
+      const genderParam = urlParams.get('gender');
+      if (genderParam && GENDERS[genderParam.toUpperCase()]) {
+        this.genderFilter = genderParam.toUpperCase();
+      } else if (urlParams.get('femaleOnly') === 'true') {
+        // Older links used a female-only toggle
+        this.genderFilter = 'F';
+      }
+
+      // Set categoryFilter from URL parameter if it exists
+      // (checked against the year's categories once results have loaded)
+      const categoryParam = urlParams.get('category');
+      if (categoryParam) {
+        this.categoryFilter = categoryParam;
+      }
+
+      // Set divisionFilter from URL parameter if it exists
+      // (checked against the year's divisions once results have loaded)
+      const divisionParam = urlParams.get('division');
+      if (divisionParam && DIVISIONS[divisionParam.toLowerCase()]) {
+        this.divisionFilter = divisionParam.toLowerCase();
+      }
+
+      // Set sortKeys from URL parameter if it exists (e.g. "lap_of_lough,-chip_time")
+      const sortParam = urlParams.get('sort');
+      if (sortParam) {
+        this.sortKeys = sortParam.split(',')
+          .map(key => key.startsWith('-')
+            ? { column: key.slice(1), direction: 'desc' }
+            : { column: key, direction: 'asc' })
+          .filter(key => SORTABLE_COLUMNS[key.column]);
+      }
+
+      // Set view from URL parameter if it exists
+      // (splits falls back to results once loaded if the year has no splits)
+      const viewParam = urlParams.get('view');
+      if (viewParam === 'splits' || (viewParam === 'teams' && this.isDefaultEvent)) {
+        this.view = viewParam;
       }
 
       // Set highlightPosition from URL parameter if it exists
@@ -120,8 +300,13 @@ export function resultsApp() {
     updateUrlParams() {
       const urlParams = new URLSearchParams();
 
+      // Add event parameter if not the main race
+      if (this.selectedEvent !== this.defaultEvent) {
+        urlParams.set('event', this.selectedEvent);
+      }
+
       // Add year parameter if not the default
-      if (this.selectedYear !== '2025') {
+      if (this.selectedYear !== this.defaultYear) {
         urlParams.set('year', this.selectedYear);
       }
 
@@ -130,9 +315,27 @@ export function resultsApp() {
         urlParams.set('search', this.searchTerm);
       }
 
-      // Add femaleOnly parameter if true
-      if (this.femaleOnly) {
-        urlParams.set('femaleOnly', 'true');
+      // Add gender, category and division filter parameters if set
+      if (this.genderFilter) {
+        urlParams.set('gender', this.genderFilter);
+      }
+      if (this.categoryFilter) {
+        urlParams.set('category', this.categoryFilter);
+      }
+      if (this.divisionFilter) {
+        urlParams.set('division', this.divisionFilter);
+      }
+
+      // Add sort parameter if not in finishing order
+      if (this.sortKeys.length > 0) {
+        urlParams.set('sort', this.sortKeys
+          .map(key => (key.direction === 'desc' ? '-' : '') + key.column)
+          .join(','));
+      }
+
+      // Add view parameter if not showing results
+      if (this.view !== 'results') {
+        urlParams.set('view', this.view);
       }
 
       // Update URL without reloading the page
@@ -154,20 +357,86 @@ export function resultsApp() {
       }
     },
 
+    // Manifest entry for the selected year
+    get selectedYearInfo() {
+      return this.years.find(entry => String(entry.year) === this.selectedYear) || null;
+    },
+
+    // Check whether an optional column is present in the selected year
+    hasColumn(column) {
+      const info = this.selectedYearInfo;
+      return !!(info && info.columns && info.columns[column]);
+    },
+
     get showBibNumber() {
-      return !['2020'].includes(this.selectedYear);
+      return this.hasColumn('bib');
     },
 
     get showLapOfLough() {
-      return !['2020', '2016', '2014', '2009'].includes(this.selectedYear);
+      return this.hasColumn('lap_of_lough');
     },
 
     get showTwoMiles() {
-      return ['2014', '2013', '2012', '2011', '2010'].includes(this.selectedYear);
+      return this.hasColumn('two_miles');
     },
 
     get showGunTime() {
-      return !['2020', '2014', '2009'].includes(this.selectedYear);
+      return this.hasColumn('gun_time');
+    },
+
+    // Splits view is only offered for years with split times
+    get hasSplits() {
+      return this.splitPoints.length > 0;
+    },
+
+    get showSplits() {
+      return this.view === 'splits' && this.hasSplits;
+    },
+
+    get showTeams() {
+      return this.view === 'teams';
+    },
+
+    // Team competitions for the selected year, narrowed by the gender filter and search
+    get filteredTeams() {
+      if (!this.teams) return [];
+
+      const term = this.searchTerm.toLowerCase().trim();
+
+      return this.teams
+        .filter(competition => !this.genderFilter || competition.gender === this.genderFilter)
+        .map(competition => ({
+          ...competition,
+          teams: term
+            ? competition.teams.filter(team =>
+              team.club.toLowerCase().includes(term) ||
+              team.scorers.some(scorer => scorer.name.toLowerCase().includes(term)))
+            : competition.teams
+        }));
+    },
+
+    // Split points present in the selected year, in course order
+    get splitPoints() {
+      return SPLIT_POINTS.filter(point => this.hasColumn(point.key));
+    },
+
+    // Segments between split points (and the finish), labelled e.g. "Lap – 2 Mi"
+    get splitSegments() {
+      const stops = [...this.splitPoints, { key: 'finish', shortLabel: 'Finish' }];
+      return stops.map((stop, index) => ({
+        key: stop.key,
+        label: `${index === 0 ? 'Start' : stops[index - 1].shortLabel} – ${stop.shortLabel}`
+      }));
+    },
+
+    // e.g. "10th" for a runner's tenth Lough 5
+    getOrdinal(number) {
+      return getOrdinal(number);
+    },
+
+    // e.g. "=3" for a position shared with another runner on the same time
+    formatPosition(position, isTied) {
+      return formatPosition(position, isTied);
     },
 
     // Show runner details in modal (for displays under 1000px width) or navigate to stats (for larger displays)
@@ -192,18 +461,58 @@ export function resultsApp() {
       return null;
     },
 
+    getClubStatsUrl(club) {
+      return getClubStatsUrl(club);
+    },
+
+    loadTeamsForYear() {
+      const year = this.selectedYear;
+      this.teamsLoading = true;
+      fetch(`teams/${year}.json`)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`No team results for ${year}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          // Ignore a response for a year that is no longer selected
+          if (year !== this.selectedYear) return;
+          this.teams = data.competitions || [];
+          this.teamsLoading = false;
+        })
+        .catch(error => {
+          console.error(`Error loading team results for ${year}:`, error);
+          this.teams = [];
+          this.teamsLoading = false;
+        });
+    },
+
     loadResultsForYear() {
       this.isLoading = true;
-      fetch(`results/${this.selectedYear}.json`)
+
+      // Team results are loaded when the Teams view is shown
+      this.teams = null;
+      if (this.view === 'teams') {
+        this.loadTeamsForYear();
+      }
+
+      // The main race's results are in results/, other events' in results/<event>/
+      const eventPath = this.isDefaultEvent ? '' : `${this.selectedEvent}/`;
+      fetch(`results/${eventPath}${this.selectedYear}.json`)
         .then(response => response.json())
         .then(data => {
           // Transform the data to match the expected format
           this.results = data.map(runner => {
             return {
               position: runner.Position || '',
+              status: runner.status || 'FIN',
+              status_label: RESULT_STATUSES[runner.status] || '',
               bib: runner["Bib no."] || '',
               name: runner.Name || '',
               age_group: runner.Category || '',
+              division: getDivision(runner),
+              division_position: runner.division_position || null,
               club: runner.Club || '',
               two_miles: this.showTwoMiles ? runner["2 Miles"] || '' : null,
               lap_of_lough: this.showLapOfLough ? runner["Lap of Lough"] || '' : null,
@@ -213,11 +522,38 @@ export function resultsApp() {
               highlight: runner.highlight || null,
               category_position: runner.category_position || null,
               gender_position: runner.gender_position || null,
-              runner_id: runner.runner_id || null
+              runner_id: runner.runner_id || null,
+              race_number: runner.race_number || null,
+              record_eligible: runner.record_eligible !== false,
+              ineligible_reason: runner.ineligible_reason || '',
+              badges: getResultBadges({ ...runner, category: runner.Category }),
+              splits: runner.split_type ? {
+                lap_of_lough_rank: runner.lap_of_lough_rank || null,
+                lap_of_lough_remaining: runner.lap_of_lough_remaining || '',
+                two_miles_rank: runner.two_miles_rank || null,
+                two_miles_remaining: runner.two_miles_remaining || '',
+                segment_paces: runner.segment_paces || {},
+                split_type: runner.split_type
+              } : null
             };
           }).filter(runner => runner !== null);
           this.isLoading = false;
 
+          // Fall back to the results view if the newly loaded year has no splits
+          if (this.view === 'splits' && !this.hasSplits) {
+            this.view = 'results';
+          }
+
+          // Drop a category filter the newly loaded year doesn't have
+          if (this.categoryFilter && !this.availableCategories.includes(this.categoryFilter)) {
+            this.categoryFilter = '';
+          }
+
+          // Drop a division filter the newly loaded year doesn't have
+          if (this.divisionFilter && !this.availableDivisions.includes(this.divisionFilter)) {
+            this.divisionFilter = '';
+          }
+
           // Scroll to highlighted position if specified
           if (this.highlightPosition) {
             this.$nextTick(() => {
@@ -232,9 +568,28 @@ export function resultsApp() {
         });
     },
 
+    // Split time with its rank, e.g. "0:06:01 (1)"
+    formatSplit(runner, key) {
+      const time = runner[key];
+      if (!time) return '';
+      const rank = runner.splits && runner.splits[`${key}_rank`];
+      return rank ? `${time} (${rank})` : time;
+    },
+
+    // Label for a positive/negative split, e.g. "▲ Positive"
+    splitTypeLabel(runner) {
+      if (!runner.splits) return '';
+      return {
+        positive: '▲ Positive',
+        negative: '▼ Negative',
+        even: '= Even'
+      }[runner.splits.split_type] || '';
+    },
+
     scrollToPosition(position) {
-      // Find the row with this position
-      const rows = document.querySelectorAll('.results-table tbody tr');
+      // Find the row with this position in the table being shown
+      const table = this.showSplits ? '.splits-table' : '.results-table:not(.splits-table)';
+      const rows = document.querySelectorAll(`${table} tbody tr`);
       const targetRow = Array.from(rows).find(row => {
         const posCell = row.querySelector('td[data-label="Pos."]');
         return posCell && parseInt(posCell.textContent) === position;
@@ -254,22 +609,170 @@ export function resultsApp() {
       }
     },
 
-    get filteredResults() {
-      let filtered = this.results;
+    timeToSeconds(timeStr) {
+      if (!timeStr) return null;
 
-      // Apply female-only filter
-      if (this.femaleOnly) {
-        filtered = filtered.filter(runner =>
-          runner.age_group && runner.age_group.toUpperCase().startsWith('F')
-        );
+      // Remove any decimals or commas
+      timeStr = timeStr.replace(/\.\d+/, '').replace(/,\d+/, '');
 
-        // Recalculate positions for female-only results
-        filtered = filtered.map((runner, index) => ({
-          ...runner,
-          position: index + 1
-        }));
+      const parts = timeStr.split(':');
+      if (parts.length === 2) {
+        // Format: "MM:SS"
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+      } else if (parts.length === 3) {
+        // Format: "H:MM:SS"
+        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+      }
+      return null;
+    },
+
+    // Categories present in the selected year (narrowed by the gender filter)
+    get availableCategories() {
+      const categories = [...new Set(this.results.map(runner => runner.age_group).filter(c => c))]
+        .filter(category => !this.genderFilter || getGender(category) === this.genderFilter);
+
+      return categories.sort(compareCategories);
+    },
+
+    // Divisions present in the selected year, in DIVISIONS order
+    // (the division selector is only shown if there's more than the road race)
+    get availableDivisions() {
+      const present = new Set(this.results.map(runner => runner.division));
+      return Object.keys(DIVISIONS).filter(division => present.has(division));
+    },
+
+    get hasDivisions() {
+      return this.availableDivisions.some(division => division !== 'run');
+    },
+
+    get isFiltered() {
+      return !!(this.genderFilter || this.categoryFilter || this.divisionFilter);
+    },
+
+    // Column heading for the within-filter position, e.g. "F Pos.", "M50 Pos." or "Walk Pos."
+    get filterPositionLabel() {
+      return `${this.categoryFilter || this.genderFilter || DIVISIONS[this.divisionFilter]} Pos.`;
+    },
+
+    // Results matching the gender/category/division filters, with within-filter
+    // positions (walk, buggy and wheelchair entries are ranked within their division)
+    get divisionResults() {
+      if (!this.isFiltered) {
+        return this.results;
+      }
+
+      const filtered = this.results.filter(runner => {
+        if (this.categoryFilter && runner.age_group !== this.categoryFilter) return false;
+        if (this.genderFilter && getGender(runner.age_group) !== this.genderFilter) return false;
+        if (this.divisionFilter && runner.division !== this.divisionFilter) return false;
+        return true;
+      });
+
+      // Rank finishers by chip time (as awards are) within each division, keeping the
+      // table in finishing order. Equal times share a position.
+      const filterPositions = new Map();
+      Object.keys(DIVISIONS).forEach(division => {
+        const ranked = filtered
+          .filter(runner => isFinisher(runner) && runner.division === division)
+          .map(runner => ({ runner, seconds: this.timeToSeconds(runner.chip_time) ?? Infinity }))
+          .sort((a, b) => a.seconds - b.seconds);
+        ranked.forEach((entry, index) => {
+          const previous = ranked[index - 1];
+          const shared = previous && previous.seconds === entry.seconds;
+          filterPositions.set(entry.runner, {
+            position: shared ? filterPositions.get(previous.runner).position : index + 1,
+            tied: shared || (index + 1 < ranked.length && ranked[index + 1].seconds === entry.seconds)
+          });
+        });
+      });
+
+      return filtered.map(runner => ({
+        ...runner,
+        filter_position: filterPositions.get(runner)?.position ?? null,
+        filter_position_tied: filterPositions.get(runner)?.tied ?? false
+      }));
+    },
+
+    // Header click: sort by a column (ascending, descending, then back to finishing order).
+    // Shift-click adds the column as an extra sort key instead of replacing the sort.
+    sortBy(column, event) {
+      const existing = this.sortKeys.find(key => key.column === column);
+
+      if (event && event.shiftKey && this.sortKeys.length > 0) {
+        if (!existing) {
+          this.sortKeys = [...this.sortKeys, { column, direction: 'asc' }];
+        } else if (existing.direction === 'asc') {
+          this.sortKeys = this.sortKeys.map(key => key.column === column ? { column, direction: 'desc' } : key);
+        } else {
+          this.sortKeys = this.sortKeys.filter(key => key.column !== column);
+        }
+      } else if (!existing || this.sortKeys.length > 1) {
+        this.sortKeys = [{ column, direction: 'asc' }];
+      } else if (existing.direction === 'asc') {
+        this.sortKeys = [{ column, direction: 'desc' }];
+      } else {
+        this.sortKeys = [];
+      }
+
+      this.updateUrlParams();
+    },
+
+    // Arrow (and key number when sorting by several columns) shown in a header
+    sortIndicator(column) {
+      const index = this.sortKeys.findIndex(key => key.column === column);
+      if (index === -1) return '';
+      const arrow = this.sortKeys[index].direction === 'asc' ? '▲' : '▼';
+      return this.sortKeys.length > 1 ? `${arrow}${index + 1}` : arrow;
+    },
+
+    // Compare two runners on one column; blank values always sort last
+    compareColumn(a, b, column, direction) {
+      const type = SORTABLE_COLUMNS[column];
+      let valueA = a[column];
+      let valueB = b[column];
+
+      if (type === 'time') {
+        valueA = this.timeToSeconds(valueA);
+        valueB = this.timeToSeconds(valueB);
+      } else if (type === 'number') {
+        valueA = valueA === '' || valueA === null ? null : Number(valueA);
+        valueB = valueB === '' || valueB === null ? null : Number(valueB);
+      } else {
+        valueA = valueA ? String(valueA) : null;
+        valueB = valueB ? String(valueB) : null;
+      }
+
+      if (Number.isNaN(valueA)) valueA = null;
+      if (Number.isNaN(valueB)) valueB = null;
+
+      if (valueA === null && valueB === null) return 0;
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+
+      const result = type === 'text'
+        ? valueA.localeCompare(valueB, undefined, { sensitivity: 'base' })
+        : valueA - valueB;
+      return direction === 'desc' ? -result : result;
+    },
+
+    sortResults(results) {
+      if (this.sortKeys.length === 0) {
+        return results;
       }
 
+      return [...results].sort((a, b) => {
+        for (const key of this.sortKeys) {
+          const result = this.compareColumn(a, b, key.column, key.direction);
+          if (result !== 0) return result;
+        }
+        // Fall back to finishing order
+        return this.compareColumn(a, b, 'position', 'asc');
+      });
+    },
+
+    get filteredResults() {
+      const filtered = this.sortResults(this.divisionResults);
+
       // Apply search filter
       if (!this.searchTerm.trim()) {
         return filtered;
@@ -289,6 +792,16 @@ export function resultsApp() {
           (runner.gun_time && runner.gun_time.toLowerCase().includes(term))
         );
       });
+    },
+
+    // Finishers, in the main part of the table
+    get finisherResults() {
+      return this.filteredResults.filter(isFinisher);
+    },
+
+    // DNF, DQ and NT results, listed after the finishers
+    get nonFinisherResults() {
+      return this.filteredResults.filter(runner => !isFinisher(runner));
     }
   };
 }
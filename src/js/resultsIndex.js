@@ -0,0 +1,56 @@
+/**
+ * This file loads the results manifest (results/index.json), which lists
+ * every year with results, the columns available in each year and the
+ * default/latest year. It is shared by the results page and the home page
+ * "results available" banner.
+ */
+
+import { loadEditions } from './editions.js';
+
+let resultsIndexPromise = null;
+
+// Fetch the manifest once and share the promise between callers
+export function loadResultsIndex() {
+  if (!resultsIndexPromise) {
+    resultsIndexPromise = fetch('results/index.json')
+      .then(response => {
+        // First check if response is OK (status 200-299)
+        if (!response.ok) {
+          throw new Error('Response not OK');
+        }
+
+        // Check content type to ensure we're getting JSON, not HTML
+        const contentType = response.headers.get('content-type');
+        if (!contentType || !contentType.includes('application/json')) {
+          throw new Error('Not JSON content');
+        }
+
+        return response.json();
+      })
+      .catch(error => {
+        // Allow a later caller to retry
+        resultsIndexPromise = null;
+        throw error;
+      });
+  }
+  return resultsIndexPromise;
+}
+
+// Update the Alpine store used by the home page banner. The race year is the
+// newest edition in data/editions.json (the upcoming race, once it has been
+// added), so the banner links to the results once that year's are in.
+export function checkForLatestResults() {
+  Promise.all([loadResultsIndex(), loadEditions()])
+    .then(([index, editions]) => {
+      const raceYear = Math.max(index.latest_year, ...Object.keys(editions).map(Number));
+      if (window.Alpine) {
+        window.Alpine.store('resultsIndex', { loaded: true, latestYear: index.latest_year, raceYear });
+      }
+    })
+    .catch(() => {
+      // Leave the banner in its "results coming soon" state
+      if (window.Alpine) {
+        window.Alpine.store('resultsIndex', { loaded: false, latestYear: null, raceYear: null });
+      }
+    });
+}
@@ -1,4 +1,21 @@
 import { Chart, LineController, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
+import { getClubStatsUrl } from './clubs.js';
+import { getComparisonRunners, addToComparison, removeFromComparison, getCompareUrl } from './compare.js';
+import { getResultBadges } from './resultBadges.js';
+import { formatPosition, isFinisher, RESULT_STATUSES } from './positions.js';
+import { GENDERS, GENDER_SLUGS, getGender } from './genders.js';
+import { isRunDivision } from './divisions.js';
+import { loadEditions, getEditionTooltipLines } from './editions.js';
+
+// Races needed to be on the Lough 5 Legends list (matches generate-runner-stats.js)
+const LEGEND_MIN_RACES = 10;
+
+// Masters records list for each gender on the records page
+const MASTERS_RECORDS = {
+  M: 'masters-men',
+  F: 'masters-women',
+  X: 'masters-nonbinary'
+};
 
 // Register Chart.js components
 Chart.register(LineController, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
@@ -8,8 +25,10 @@ export function runnerSearchPage() {
     searchTerm: '',
     runners: {},
     isLoading: true,
+    comparison: [],
 
     init() {
+      this.comparison = getComparisonRunners();
       this.loadRunners();
     },
 
@@ -51,6 +70,29 @@ export function runnerSearchPage() {
       return `${years[0]}-${years[years.length - 1]}`;
     },
 
+    getClubStatsUrl(club) {
+      return getClubStatsUrl(club);
+    },
+
+    isInComparison(runnerId) {
+      return this.comparison.includes(runnerId);
+    },
+
+    toggleComparison(runnerId) {
+      this.comparison = this.isInComparison(runnerId)
+        ? removeFromComparison(runnerId)
+        : addToComparison(runnerId);
+    },
+
+    // Names of the runners picked for comparison
+    get comparisonNames() {
+      return this.comparison.map(runnerId => this.runners[runnerId]?.canonical_name || runnerId);
+    },
+
+    get compareUrl() {
+      return getCompareUrl(this.comparison);
+    },
+
     navigateToRunner(runnerId) {
       window.location.href = `runner-stats.html?runner=${runnerId}`;
     }
@@ -62,7 +104,10 @@ export function runnerStatsPage() {
     runner: null,
     isLoading: true,
     error: null,
+    genders: GENDERS,
     chart: null,
+    editions: {},
+    comparisonMessage: '',
 
     init() {
       // Get runner_id from URL parameters
@@ -93,8 +138,12 @@ export function runnerStatsPage() {
 
           // Create chart after data is loaded and DOM is ready
           this.$nextTick(() => {
-            if (this.runner.results.length > 1) {
-              this.createPerformanceChart();
+            if (this.chartResults().length > 1) {
+              // The chart tooltips note each year's conditions and notes
+              loadEditions().then(editions => {
+                this.editions = editions;
+                this.createPerformanceChart();
+              });
             }
           });
         })
@@ -129,6 +178,12 @@ export function runnerStatsPage() {
       return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     },
 
+    // Results plotted on the performance chart: road race finishes (walk,
+    // buggy and wheelchair times aren't comparable with running times)
+    chartResults() {
+      return this.runner ? this.runner.results.filter(r => isFinisher(r) && isRunDivision(r)) : [];
+    },
+
     createPerformanceChart() {
       const ctx = document.getElementById('performanceChart');
       if (!ctx) return;
@@ -140,12 +195,12 @@ export function runnerStatsPage() {
 
       // Create a map of year -> time
       const yearTimeMap = {};
-      this.runner.results.forEach(r => {
+      this.chartResults().forEach(r => {
         yearTimeMap[r.year] = this.timeToSeconds(r.chip_time);
       });
 
       // Generate all years from first to last
-      const years = this.runner.results.map(r => r.year).sort((a, b) => a - b);
+      const years = this.chartResults().map(r => r.year).sort((a, b) => a - b);
       const firstYear = years[0];
       const lastYear = years[years.length - 1];
 
@@ -186,6 +241,11 @@ export function runnerStatsPage() {
                 label: (context) => {
                   if (context.parsed.y === null) return null;
                   return 'Time: ' + this.secondsToTime(context.parsed.y);
+                },
+                // e.g. "Conditions: Strong wind, 4°C" under the time
+                afterLabel: (context) => {
+                  if (context.parsed.y === null) return null;
+                  return getEditionTooltipLines(this.editions[context.label]);
                 }
               }
             }
@@ -232,32 +292,140 @@ export function runnerStatsPage() {
         this.runner.badges.fastest_all_time ||
         (this.runner.badges.overall_podiums && this.runner.badges.overall_podiums.length > 0) ||
         (this.runner.badges.category_podiums && this.runner.badges.category_podiums.length > 0) ||
-        (this.runner.badges.age_group_records && this.runner.badges.age_group_records.length > 0)
+        (this.runner.badges.age_group_records && this.runner.badges.age_group_records.length > 0) ||
+        (this.runner.badges.age_group_rankings && this.runner.badges.age_group_rankings.length > 0) ||
+        (this.runner.badges.participation_milestones && this.runner.badges.participation_milestones.length > 0) ||
+        this.runner.badges.longest_streak ||
+        this.runner.badges.current_streak ||
+        (this.runner.badges.age_categories && this.runner.badges.age_categories.length > 1)
       );
     },
 
+    // Runners with LEGEND_MIN_RACES (10) or more races are on the Lough 5 Legends list
+    isLegend() {
+      return this.runner && this.runner.runner_id !== 'unknown' && this.runner.total_races >= LEGEND_MIN_RACES;
+    },
+
+    // Results that have split times (see the Pacing card)
+    get pacingResults() {
+      if (!this.runner) return [];
+      return this.runner.results.filter(r => r.splits);
+    },
+
+    // Split time with its rank, e.g. "0:06:01 (1st)"
+    formatSplitTime(time, rank) {
+      if (!time) return '-';
+      return rank ? `${time} (${this.getOrdinal(rank)})` : time;
+    },
+
+    // Pace per mile for each segment in course order, e.g. "4:49 / 5:11 / 5:06"
+    formatSegmentPaces(segmentPaces) {
+      if (!segmentPaces) return '-';
+      return ['lap_of_lough', 'two_miles', 'finish']
+        .filter(key => segmentPaces[key])
+        .map(key => segmentPaces[key])
+        .join(' / ');
+    },
+
+    formatSplitType(splitType) {
+      return {
+        positive: '▲ Positive',
+        negative: '▼ Negative',
+        even: '= Even'
+      }[splitType] || '';
+    },
+
     getOrdinal(n) {
       const s = ['th', 'st', 'nd', 'rd'];
       const v = n % 100;
       return n + (s[(v - 20) % 10] || s[v] || s[0]);
     },
 
+    // Position with "=" in front if it was shared, e.g. "=3" or "=2nd"
+    formatPosition(position, isTied) {
+      return formatPosition(position, isTied);
+    },
+
+    // Race history position, e.g. "12 (=3)" - overall position then category position
+    // (division position for walk, buggy and wheelchair results, which have a division badge).
+    // Non-finishers show their status instead, e.g. "DNF".
+    formatResultPosition(result) {
+      if (!isFinisher(result)) return result.status;
+      if (!isRunDivision(result)) {
+        return `${result.position} (${formatPosition(result.division_position, result.division_position_tied)})`;
+      }
+      return `${result.position} (${formatPosition(result.category_position, result.category_position_tied)})`;
+    },
+
+    // e.g. "Did not finish" for a DNF (blank for a finish)
+    getStatusTitle(result) {
+      return isFinisher(result) ? '' : RESULT_STATUSES[result.status] || result.status;
+    },
+
+    // Total races, with how many were finished if the runner has a DNF, DQ or NT
+    get totalRacesLabel() {
+      if (!this.runner) return '';
+      const finishes = this.runner.total_finishes ?? this.runner.total_races;
+      return finishes < this.runner.total_races
+        ? `${this.runner.total_races} (${finishes} finished)`
+        : `${this.runner.total_races}`;
+    },
+
     // Generate URL for records page based on badge type
     getRecordsUrl(badgeType, gender, runnerId = null) {
       if (badgeType === 'fastest_all_time') {
-        const category = gender === 'M' ? 'fastest-50-male' : 'fastest-50-female';
+        const category = `fastest-50-${GENDER_SLUGS[gender]}`;
         const runnerParam = runnerId ? `&runner=${runnerId}` : '';
         return `records.html?category=${category}${runnerParam}`;
+      } else if (badgeType === 'junior_open_records') {
+        const runnerParam = runnerId ? `&runner=${runnerId}` : '';
+        return `records.html?category=junior-open${runnerParam}`;
       } else if (badgeType === 'age_group_records') {
-        const category = gender === 'M' ? 'masters-men' : 'masters-women';
+        const category = MASTERS_RECORDS[gender];
         const runnerParam = runnerId ? `&runner=${runnerId}` : '';
         return `records.html?category=${category}${runnerParam}`;
+      } else if (badgeType === 'legends') {
+        const runnerParam = runnerId ? `&runner=${runnerId}` : '';
+        return `records.html?category=legends${runnerParam}`;
       }
       return 'records.html';
     },
 
+    // Records page for an age group record or ranking (junior and open categories have their own list)
+    getAgeGroupRecordsUrl(category, runnerId) {
+      if (/^[MFX](U19|O)$/.test(category)) {
+        return this.getRecordsUrl('junior_open_records', null, runnerId);
+      }
+      return this.getRecordsUrl('age_group_records', getGender(category), runnerId);
+    },
+
+    getClubStatsUrl(club) {
+      return getClubStatsUrl(club);
+    },
+
+    // Add this runner to the comparison, opening the compare page once there are two or more
+    addToComparison() {
+      const runnerIds = addToComparison(this.runner.runner_id);
+      if (runnerIds.length > 1) {
+        window.location.href = getCompareUrl(runnerIds);
+      } else {
+        this.comparisonMessage = 'Added to comparison. Find another runner to compare with.';
+      }
+    },
+
+    // PB, debut, milestone and new category badges for a race
+    getResultBadges(result) {
+      return getResultBadges(result);
+    },
+
     // Generate URL for results page with position deep link
-    getResultsUrl(runner, year) {
+    // (eventId for a result in another event, e.g. the fun run)
+    getResultsUrl(runner, year, eventId = null) {
+      if (eventId) {
+        const event = (runner.events || []).find(e => e.id === eventId);
+        const position = event?.results.find(r => r.year === year)?.position;
+        return `results.html?event=${eventId}&year=${year}&position=${position}`;
+      }
       const position = runner.results.find(r => r.year === year)?.position;
       return `results.html?year=${year}&position=${position}`;
     }
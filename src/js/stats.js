@@ -0,0 +1,256 @@
+import { Chart, BarController, LineController, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
+
+// Register Chart.js components
+Chart.register(BarController, LineController, CategoryScale, LinearScale, BarElement, PointElement, LineElement, Title, Tooltip, Legend);
+
+import { GENDERS, GENDER_SLUGS, getGender } from './genders.js';
+
+// Chart colours: amber for men, charcoal for women (matching the site palette)
+// and teal for non-binary runners
+const MALE_COLOUR = '255, 202, 40';
+const FEMALE_COLOUR = '69, 90, 100';
+const GENDER_COLOURS = {
+  M: MALE_COLOUR,
+  F: FEMALE_COLOUR,
+  X: '38, 166, 154'
+};
+
+// Categories without a gender (e.g. WCH or "Unknown") are grey
+const NO_GENDER_COLOUR = '158, 158, 158';
+
+// A stacked bar dataset for each gender, from the summary's male, female
+// and nonbinary counts (e.g. a year's finishers or a histogram bin's)
+function genderDatasets(entries) {
+  return Object.entries(GENDERS).map(([gender, name]) => ({
+    label: name,
+    data: entries.map(entry => entry[GENDER_SLUGS[gender]] || 0),
+    backgroundColor: `rgba(${GENDER_COLOURS[gender]}, 0.7)`
+  }));
+}
+
+export function statsPage() {
+  return {
+    summary: null,
+    selectedYear: null,
+    isLoading: true,
+    error: null,
+    charts: {},
+
+    init() {
+      this.loadSummary();
+
+      // Redraw the per-year charts when a different year is chosen
+      this.$watch('selectedYear', () => {
+        if (!this.summary) return;
+        this.updateUrl();
+        this.$nextTick(() => {
+          this.createCategoryChart();
+          this.createHistogramChart();
+        });
+      });
+    },
+
+    loadSummary() {
+      this.isLoading = true;
+      fetch('stats/summary.json')
+        .then(response => {
+          if (!response.ok) {
+            throw new Error('Statistics not found');
+          }
+          return response.json();
+        })
+        .then(data => {
+          this.summary = data;
+
+          // Use the year from the URL if there are stats for it, otherwise the latest year
+          const urlYear = parseInt(new URLSearchParams(window.location.search).get('year'));
+          const years = data.years.map(entry => entry.year);
+          this.selectedYear = years.includes(urlYear) ? urlYear : years[years.length - 1];
+          this.isLoading = false;
+
+          // Create charts after data is loaded and DOM is ready
+          this.$nextTick(() => {
+            this.createFinishersChart();
+            this.createTimesChart();
+            this.createCategoryChart();
+            this.createHistogramChart();
+          });
+        })
+        .catch(error => {
+          console.error('Error loading field statistics:', error);
+          this.error = 'Statistics are not available at the moment.';
+          this.isLoading = false;
+        });
+    },
+
+    updateUrl() {
+      const url = new URL(window.location.href);
+      url.searchParams.set('year', this.selectedYear);
+      window.history.replaceState({}, '', url);
+    },
+
+    // Years newest first, for the year dropdown and the table
+    get yearsNewestFirst() {
+      return this.summary ? [...this.summary.years].reverse() : [];
+    },
+
+    get selectedYearStats() {
+      if (!this.summary) return null;
+      return this.summary.years.find(entry => entry.year === Number(this.selectedYear)) || null;
+    },
+
+    timeToSeconds(timeStr) {
+      if (!timeStr) return null;
+
+      const parts = timeStr.split(':');
+      if (parts.length === 2) {
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+      } else if (parts.length === 3) {
+        return parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
+      }
+      return null;
+    },
+
+    secondsToTime(seconds) {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      const secs = seconds % 60;
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    },
+
+    // Histogram bin label, e.g. "30-32"
+    formatBin(bin) {
+      return `${bin.from_minutes}-${bin.from_minutes + this.summary.histogram_bin_minutes}`;
+    },
+
+    // Replace the chart on a canvas (charts are recreated when the year changes)
+    drawChart(canvasId, config) {
+      const ctx = document.getElementById(canvasId);
+      if (!ctx) return;
+
+      if (this.charts[canvasId]) {
+        this.charts[canvasId].destroy();
+      }
+
+      this.charts[canvasId] = new Chart(ctx, config);
+    },
+
+    createFinishersChart() {
+      const years = this.summary.years;
+
+      this.drawChart('finishersChart', {
+        type: 'bar',
+        data: {
+          labels: years.map(entry => entry.year),
+          datasets: genderDatasets(years)
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { stacked: true, title: { display: true, text: 'Year' } },
+            y: { stacked: true, beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Finishers' } }
+          }
+        }
+      });
+    },
+
+    createTimesChart() {
+      const years = this.summary.years.filter(entry => entry.chip_times);
+      const series = [
+        { key: 'q1', label: 'Lower quartile', colour: `rgba(${MALE_COLOUR}, 0.5)`, dash: [5, 5] },
+        { key: 'median', label: 'Median', colour: `rgba(${MALE_COLOUR}, 1)`, dash: [] },
+        { key: 'mean', label: 'Mean', colour: `rgba(${FEMALE_COLOUR}, 0.9)`, dash: [] },
+        { key: 'q3', label: 'Upper quartile', colour: `rgba(${FEMALE_COLOUR}, 0.5)`, dash: [5, 5] }
+      ];
+
+      this.drawChart('timesChart', {
+        type: 'line',
+        data: {
+          labels: years.map(entry => entry.year),
+          datasets: series.map(s => ({
+            label: s.label,
+            data: years.map(entry => this.timeToSeconds(entry.chip_times[s.key])),
+            borderColor: s.colour,
+            backgroundColor: s.colour,
+            borderDash: s.dash,
+            tension: 0.1,
+            pointRadius: 3
+          }))
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            tooltip: {
+              callbacks: {
+                label: (context) => `${context.dataset.label}: ${this.secondsToTime(context.parsed.y)}`
+              }
+            }
+          },
+          scales: {
+            y: {
+              ticks: {
+                callback: (value) => this.secondsToTime(Math.round(value)),
+                maxTicksLimit: 8
+              },
+              title: { display: true, text: 'Chip Time' }
+            },
+            x: { title: { display: true, text: 'Year' } }
+          }
+        }
+      });
+    },
+
+    createCategoryChart() {
+      const stats = this.selectedYearStats;
+      if (!stats) return;
+
+      const categories = Object.keys(stats.categories);
+
+      this.drawChart('categoryChart', {
+        type: 'bar',
+        data: {
+          labels: categories,
+          datasets: [{
+            label: 'Finishers',
+            data: categories.map(category => stats.categories[category]),
+            backgroundColor: categories.map(category =>
+              `rgba(${GENDER_COLOURS[getGender(category)] || NO_GENDER_COLOUR}, 0.7)`
+            )
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: { legend: { display: false } },
+          scales: {
+            x: { title: { display: true, text: 'Category' } },
+            y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Finishers' } }
+          }
+        }
+      });
+    },
+
+    createHistogramChart() {
+      const stats = this.selectedYearStats;
+      if (!stats) return;
+
+      this.drawChart('histogramChart', {
+        type: 'bar',
+        data: {
+          labels: stats.histogram.map(bin => this.formatBin(bin)),
+          datasets: genderDatasets(stats.histogram)
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { stacked: true, title: { display: true, text: 'Finish Time (minutes)' } },
+            y: { stacked: true, beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Finishers' } }
+          }
+        }
+      });
+    }
+  };
+}
@@ -14,6 +14,9 @@ export default defineConfig({
         records: resolve(__dirname, 'records.html'),
         'runner-search': resolve(__dirname, 'runner-search.html'),
         'runner-stats': resolve(__dirname, 'runner-stats.html'),
+        'club-stats': resolve(__dirname, 'club-stats.html'),
+        compare: resolve(__dirname, 'compare.html'),
+        stats: resolve(__dirname, 'stats.html'),
         guidelines: resolve(__dirname, 'guidelines.html'),
       },
     },